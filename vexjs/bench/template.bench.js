@@ -0,0 +1,85 @@
+/**
+ * Template engine benchmark.
+ *
+ * Renders `fixtures/catalog.html` — a product listing with loops,
+ * conditionals, bindings and inline SVG — with the compiled engine
+ * (`compileTemplateToHTML`) and the interpreter it replaced
+ * (`interpretTemplateToHTML`), checks both produce the same HTML and prints
+ * the throughput of each.
+ *
+ * Usage:
+ *   npm run bench
+ *   node bench/template.bench.js [seconds per engine]
+ */
+
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import {
+  compileTemplateToHTML,
+  interpretTemplateToHTML,
+} from "../server/utils/template.js";
+
+const DIR = path.dirname(fileURLToPath(import.meta.url));
+const template = fs.readFileSync(
+  path.join(DIR, "fixtures", "catalog.html"),
+  "utf-8"
+);
+const seconds = Number(process.argv[2]) || 3;
+
+const data = {
+  title: "Kitchen & Dining",
+  page: 2,
+  pages: 5,
+  categories: ["Cookware", "Knives", "Tableware", "Storage"].map(
+    (name, i) => ({ name, href: `/c/${name.toLowerCase()}`, active: i === 1 })
+  ),
+  products: Array.from({ length: 24 }, (_, i) => ({
+    id: i + 1,
+    name: `Product <${i + 1}>`,
+    description: `A "durable" item you'll use every day — model #${i + 1}.`,
+    image: `/images/products/${i + 1}.webp`,
+    price: `€${(19.99 + i).toFixed(2)}`,
+    sale: i % 4 === 0 ? `€${(14.99 + i).toFixed(2)}` : null,
+    rating: (i % 5) + 1,
+    stars: Array.from({ length: 5 }, (_, s) => s <= i % 5),
+    stock: i % 7,
+    tags: ["new", "eco", "bestseller"].slice(0, i % 4),
+  })),
+};
+
+/**
+ * Calls `render` repeatedly for `seconds` after a short warm-up and returns
+ * the average time per render in milliseconds.
+ *
+ * @param {() => string} render
+ * @returns {number}
+ */
+function measure(render) {
+  for (let i = 0; i < 3; i++) render();
+  const budget = BigInt(seconds * 1e9);
+  const start = process.hrtime.bigint();
+  let renders = 0;
+  let elapsed = 0n;
+  while (elapsed < budget) {
+    render();
+    renders++;
+    elapsed = process.hrtime.bigint() - start;
+  }
+  return Number(elapsed) / 1e6 / renders;
+}
+
+const compiled = compileTemplateToHTML(template, data);
+const interpreted = interpretTemplateToHTML(template, data);
+if (compiled !== interpreted) {
+  console.error("❌ Compiled output differs from the interpreter");
+  process.exit(1);
+}
+
+const interpretedMs = measure(() => interpretTemplateToHTML(template, data));
+const compiledMs = measure(() => compileTemplateToHTML(template, data));
+
+console.log(`catalog.html — ${compiled.length} bytes, ${seconds}s per engine`);
+console.log(`  interpreter  ${interpretedMs.toFixed(3)} ms/render  ${Math.round(1000 / interpretedMs)} renders/s`);
+console.log(`  compiled     ${compiledMs.toFixed(3)} ms/render  ${Math.round(1000 / compiledMs)} renders/s`);
+console.log(`  ${(interpretedMs / compiledMs).toFixed(1)}× faster, identical output`);
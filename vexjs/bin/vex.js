@@ -58,10 +58,18 @@ const commands = {
       [path.join(serverDir, "build-static.js")],
       { stdio: "inherit", env: { ...process.env, NODE_ENV: "production" } }
     ),
+
+  /** Inspect and manage the ISR cache of the built app: `vex cache ls | purge [pattern] | warm`. */
+  cache: () =>
+    spawn(
+      "node",
+      [path.join(serverDir, "cache-cli.js"), ...process.argv.slice(3)],
+      { stdio: "inherit", env: { ...process.env, NODE_ENV: "production" } }
+    ),
 };
 
 if (!commands[command]) {
-  console.error(`Unknown command: "${command}"\nAvailable: dev, build, build:static, start`);
+  console.error(`Unknown command: "${command}"\nAvailable: dev, build, build:static, start, cache`);
   process.exit(1);
 }
 
@@ -5,17 +5,139 @@
  * a `reload` event (triggered by a file change), the page reloads automatically
  * so the developer always sees the latest version without a manual refresh.
  *
+ * `template-error` events report template expressions that threw while the
+ * page rendered — with the `.vex` file, the line and the expression — and are
+ * shown in an overlay. The connection passes the page URL so the server can
+ * replay the errors of the render that produced it; errors of other URLs
+ * (prefetches, other tabs) are ignored.
+ *
  * On error (e.g. server restart) the connection is closed silently — the
  * browser will reconnect on the next page load.
  */
 (function () {
-  const evtSource = new EventSource("/_vexjs/hmr");
+  const OVERLAY_ID = "vex-error-overlay";
+
+  const currentUrl = () => location.pathname + location.search;
+
+  const evtSource = new EventSource(
+    `/_vexjs/hmr?url=${encodeURIComponent(currentUrl())}`
+  );
+
+  /**
+   * The failing expression as written in the template.
+   * @param {{ expression: string, attribute: string | null }} error
+   * @returns {string}
+   */
+  function formatSource(error) {
+    return error.attribute
+      ? `${error.attribute}="${error.expression}"`
+      : `{{ ${error.expression} }}`;
+  }
+
+  /**
+   * Creates an element with inline styles and text content.
+   * @param {string} tag
+   * @param {string} style
+   * @param {string} [text]
+   * @returns {HTMLElement}
+   */
+  function createElement(tag, style, text) {
+    const el = document.createElement(tag);
+    el.style.cssText = style;
+    if (text !== undefined) el.textContent = text;
+    return el;
+  }
+
+  /**
+   * Returns the list of the overlay, creating the overlay on first use.
+   * @returns {HTMLElement}
+   */
+  function getOverlayList() {
+    const existing = document.getElementById(OVERLAY_ID);
+    if (existing) return existing.querySelector("ol");
+
+    const overlay = createElement(
+      "div",
+      "position:fixed;inset:0;z-index:2147483647;background:rgba(0,0,0,.6);" +
+        "display:flex;align-items:flex-start;justify-content:center;overflow:auto;" +
+        "font:14px/1.5 ui-monospace,SFMono-Regular,Menlo,monospace;"
+    );
+    overlay.id = OVERLAY_ID;
+
+    const panel = createElement(
+      "div",
+      "margin:8vh 16px;max-width:860px;width:100%;background:#1e1e1e;color:#eee;" +
+        "border-top:4px solid #e5484d;border-radius:6px;padding:20px 24px;" +
+        "box-shadow:0 12px 40px rgba(0,0,0,.4);"
+    );
+
+    const header = createElement("div", "display:flex;justify-content:space-between;");
+    header.append(createElement("strong", "color:#ff6369;", "Template error"));
+    const close = createElement(
+      "button",
+      "background:none;border:0;color:#aaa;font:inherit;cursor:pointer;",
+      "✕"
+    );
+    close.title = "Close (Esc)";
+    close.addEventListener("click", () => overlay.remove());
+    header.append(close);
+
+    panel.append(
+      header,
+      createElement("ol", "margin:12px 0 0;padding:0;list-style:none;"),
+      createElement(
+        "p",
+        "margin:16px 0 0;color:#888;font-size:12px;",
+        "The expressions above rendered as empty. Fix the template or the data from getData — the page reloads on save."
+      )
+    );
+    overlay.append(panel);
+    document.body.append(overlay);
+
+    document.addEventListener("keydown", (e) => {
+      if (e.key === "Escape") overlay.remove();
+    });
+
+    return panel.querySelector("ol");
+  }
+
+  /**
+   * Adds an error to the overlay.
+   * @param {{ file: string | null, line: number, expression: string, attribute: string | null, name: string, message: string }} error
+   */
+  function showTemplateError(error) {
+    const item = createElement("li", "padding:12px 0;border-top:1px solid #333;");
+    item.append(
+      createElement("div", "color:#999;", `${error.file ?? "template"}:${error.line}`),
+      createElement(
+        "pre",
+        "margin:6px 0;padding:8px 12px;background:#111;border-radius:4px;white-space:pre-wrap;color:#ffd479;",
+        formatSource(error)
+      ),
+      createElement("div", "color:#ff9592;", `${error.name}: ${error.message}`)
+    );
+    if (document.body) {
+      getOverlayList().append(item);
+    } else {
+      document.addEventListener("DOMContentLoaded", () => getOverlayList().append(item));
+    }
+  }
 
   evtSource.addEventListener("reload", (e) => {
     console.log(`[HMR] ${e.data || "file changed"} — reloading`);
     location.reload();
   });
 
+  evtSource.addEventListener("template-error", (e) => {
+    const error = JSON.parse(e.data);
+    if (error.url !== currentUrl()) return;
+
+    console.error(
+      `[vex] ${error.name}: ${error.message}\n    at ${formatSource(error)} (${error.file}:${error.line})`
+    );
+    showTemplateError(error);
+  });
+
   evtSource.onerror = () => {
     evtSource.close();
   };
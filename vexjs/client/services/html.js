@@ -20,10 +20,27 @@
  *    html`<div x-else>Show if false</div>`
  *
  * 6. Loop rendering (x-for):
- *    html`<li x-for="${item => items}">Item: ${item}</li>`
+ *    html`<li x-for="${items}">Item: ${item}</li>`
+ *    renderList(items, (item, index) => html`<li>${index}: ${item}</li>`)
+ *
+ *    Both iterate like the server templates: arrays, Sets and iterables
+ *    (item, index), plain objects and Maps (value, key, index), and integers
+ *    as ranges (`3` renders 1, 2, 3). `null` and other values render nothing.
  * 
  * 7. Nested templates and arrays:
  *    html`<div>${items.map(item => html`<li>${item}</li>`)}</div>`
+ *
+ * 8. Raw HTML (x-html) — text interpolation is always escaped; trusted markup only:
+ *    html`<article x-html="${post.body}"></article>`
+ *
+ * 9. Fragments — a <template> with x-if, x-else-if, x-else or x-for renders
+ *    its content without a wrapper element, also inside tables:
+ *    html`<tbody><template x-if="${open}"><tr>…</tr><tr>…</tr></template></tbody>`
+ *
+ * 10. Comment markers — a value in a comment is inserted like text
+ *    interpolation, where the browser parser would move text (between table
+ *    rows):
+ *    html`<tbody><!--${rows.map(row => html`<tr>…</tr>`)}--></tbody>`
  */
 
 /**
@@ -54,9 +71,13 @@ export function html(strings, ...values) {
   // Process VexJS directives (x-if, x-else-if, x-else, x-for)
   processDirectives(fragment, markers, values);
 
-  // Determine single root element or return a fragment
+  // Determine single root element or return a fragment. Text and comment
+  // markers next to the element (e.g. a list) keep the fragment.
   const node =
-    fragment.childElementCount === 1
+    fragment.childElementCount === 1 &&
+    Array.from(fragment.childNodes).every(
+      (child) => child.nodeType === Node.ELEMENT_NODE || !child.textContent.trim()
+    )
       ? fragment.firstElementChild
       : fragment;
 
@@ -173,40 +194,106 @@ function handleConditionalChain(parent, children, startIndex, markers, values) {
     }
   }
 
+  if (kept && isFragment(kept)) {
+    processDirectives(kept.content, markers, values);
+    kept.replaceWith(kept.content);
+  } else if (kept) {
+    processDirectives(kept, markers, values);
+  }
+
   return currentIndex - 1;
 }
 
 /**
  * Handles x-for directives to render lists.
- * Clones the template element for each item in the array.
+ * Clones the template element for each entry of the source value.
  *
  * @param {HTMLElement} element - Template element with x-for attribute.
  * @param {string[]} markers - Unique markers for interpolation.
- * @param {any[]} values - Interpolated values (must include array for v-for).
+ * @param {any[]} values - Interpolated values (must include the x-for source).
  */
 function handleVFor(element, markers, values) {
   const vForValue = element.getAttribute('x-for');
   const markerIndex = markers.findIndex(m => vForValue.includes(m));
-  if (markerIndex === -1 || !Array.isArray(values[markerIndex])) {
+  if (markerIndex === -1) {
     element.removeAttribute('x-for');
     return;
   }
 
-  const items = values[markerIndex];
+  const entries = getLoopEntries(values[markerIndex]);
   const parent = element.parentNode;
-  const template = element.cloneNode(true);
-  template.removeAttribute('x-for');
+  // A <template x-for> repeats its content, not the element
+  const template = isFragment(element)
+    ? element.content
+    : element.cloneNode(true);
+  if (!isFragment(element)) template.removeAttribute('x-for');
 
   const fragment = document.createDocumentFragment();
-  for (const item of items) {
+  for (const [item] of entries) {
     const clone = template.cloneNode(true);
     replaceItemReferences(clone, item);
+    processDirectives(clone, markers, values);
     fragment.appendChild(clone);
   }
 
   parent.replaceChild(fragment, element);
 }
 
+/**
+ * Tells whether an element is a `<template>` rendered as a fragment: its
+ * content replaces it once a directive keeps or repeats it.
+ *
+ * @param {Element} element
+ * @returns {boolean}
+ */
+function isFragment(element) {
+  return element instanceof HTMLTemplateElement;
+}
+
+/**
+ * The entries an x-for renders, as `[value, key, index]` tuples. For arrays,
+ * ranges and other iterables `key` is the index.
+ *
+ * Mirrors `getLoopEntries` in `server/utils/template-loops.js`, so a page
+ * renders the same list on the server and in the browser.
+ *
+ * @param {any} source
+ * @returns {Array<[any, any, number]>}
+ */
+function getLoopEntries(source) {
+  if (typeof source === "number") {
+    return Number.isInteger(source) && source > 0
+      ? Array.from({ length: source }, (_, i) => [i + 1, i, i])
+      : [];
+  }
+  if (source === null || source === undefined) return [];
+  if (source instanceof Map) {
+    return Array.from(source, ([key, value], i) => [value, key, i]);
+  }
+  if (typeof source[Symbol.iterator] === "function") {
+    return Array.from(source, (value, i) => [value, i, i]);
+  }
+  if (typeof source === "object") {
+    return Object.keys(source).map((key, i) => [source[key], key, i]);
+  }
+  return [];
+}
+
+/**
+ * Renders one template per entry of an x-for source. Compiled components
+ * call it for `x-for="(value, key, index) in source"`.
+ *
+ * @param {any} source - Array, iterable, object, Map or integer range.
+ * @param {(value: any, key: any, index: number) => any} render
+ * @returns {any[]}
+ *
+ * @example
+ * html`<ul>${renderList(todos, (todo, i) => html`<li>${i + 1}. ${todo.title}</li>`)}</ul>`
+ */
+export function renderList(source, render) {
+  return getLoopEntries(source).map(([value, key, index]) => render(value, key, index));
+}
+
 /**
  * Replaces item references in cloned v-for elements.
  *
@@ -240,6 +327,9 @@ function processNode(node, markers, values) {
   if (node.nodeType === Node.TEXT_NODE) {
     return processTextNode(node, markers, values)
   };
+  if (node.nodeType === Node.COMMENT_NODE) {
+    return processCommentNode(node, markers, values);
+  }
   if (node.nodeType === Node.ELEMENT_NODE) {
     processAttributes(node, markers, values);
   }
@@ -271,22 +361,7 @@ function processTextNode(node, markers, values) {
       parent.insertBefore(document.createTextNode(parts[0]), node);
     }
 
-    if (Array.isArray(value)) {
-      // Insert arrays of nodes or primitives
-      for (const item of value) {
-        if (item instanceof Node) {
-          processNode(item, markers, values);
-          parent.insertBefore(item, node);
-        } else {
-          parent.insertBefore(document.createTextNode(String(item ?? "")), node);
-        }
-      }
-    } else if (value instanceof Node) {
-      processNode(value, markers, values);
-      parent.insertBefore(value, node);
-    } else {
-      parent.insertBefore(document.createTextNode(String(value ?? "")), node);
-    }
+    insertValue(parent, value, node, markers, values);
 
     text = parts.slice(1).join(markers[i]);
   }
@@ -294,6 +369,51 @@ function processTextNode(node, markers, values) {
   node.textContent = text;
 }
 
+/**
+ * Replaces a comment holding a single marker with its value, inserted like
+ * text interpolation. Other comments are left as they are.
+ *
+ * @param {Comment} node - Comment node to process.
+ * @param {string[]} markers - Unique markers for interpolation.
+ * @param {any[]} values - Interpolated values.
+ */
+function processCommentNode(node, markers, values) {
+  const markerIndex = markers.indexOf(node.data.trim());
+  if (markerIndex === -1) return;
+
+  insertValue(node.parentNode, values[markerIndex], node, markers, values);
+  node.remove();
+}
+
+/**
+ * Inserts an interpolated value before `reference`.
+ * Supports primitives, nodes, and arrays of nodes.
+ *
+ * @param {Node} parent - Parent of `reference`.
+ * @param {any} value - Interpolated value.
+ * @param {Node} reference - Node to insert before.
+ * @param {string[]} markers - Unique markers for interpolation.
+ * @param {any[]} values - Interpolated values.
+ */
+function insertValue(parent, value, reference, markers, values) {
+  if (Array.isArray(value)) {
+    // Insert arrays of nodes or primitives
+    for (const item of value) {
+      if (item instanceof Node) {
+        processNode(item, markers, values);
+        parent.insertBefore(item, reference);
+      } else {
+        parent.insertBefore(document.createTextNode(String(item ?? "")), reference);
+      }
+    }
+  } else if (value instanceof Node) {
+    processNode(value, markers, values);
+    parent.insertBefore(value, reference);
+  } else {
+    parent.insertBefore(document.createTextNode(String(value ?? "")), reference);
+  }
+}
+
 /**
  * Maps special HTML attributes to DOM properties.
  *
@@ -353,6 +473,14 @@ function processAttributes(element, markers, values) {
       element.removeAttribute(attr.name);
     }
 
+    // x-html directive: trusted markup, set without escaping
+    if (attr.name === "x-html") {
+      const idx = markers.findIndex((m) => attr.value.includes(m));
+      element.innerHTML = idx !== -1 ? String(values[idx] ?? "") : "";
+      element.removeAttribute("x-html");
+      continue;
+    }
+
     // x-show directive
     if (attr.name === "x-show") {
       const idx = markers.findIndex((m) => attr.value.includes(m));
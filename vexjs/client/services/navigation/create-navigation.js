@@ -1,4 +1,6 @@
 import { setupLinkInterceptor } from "./link-interceptor.js";
+import { setupFormInterceptor } from "./form-interceptor.js";
+import { renderSSRPage } from "./render-ssr.js";
 import { setupPrefetchObserver } from "./prefetch.js";
 import { navigateInternal } from "./navigate.js";
 import { findRouteWithParams } from "./router.js";
@@ -11,6 +13,7 @@ import { createLayoutRenderer } from "./create-layouts.js";
  * - Current navigation controller (for aborting in-progress navigations)
  * - Layout rendering via `layoutRenderer`
  * - Link interception for SPA navigation
+ * - Form interception for page actions (`data-enhance` forms)
  * - Prefetch observer setup
  * - Popstate handling for back/forward browser navigation
  *
@@ -19,6 +22,7 @@ import { createLayoutRenderer } from "./create-layouts.js";
  *
  * @returns {Object} The navigation runtime API.
  * @property {(path: string, addToHistory?: boolean) => Promise<void>} navigate - Programmatically navigate to a given path.
+ * @property {(form: HTMLFormElement, submitter?: HTMLElement | null) => Promise<void>} submitAction - Submit a form to a page action over fetch.
  * @property {() => void} initialize - Initializes the SPA router and sets up link interception, prefetching, and initial navigation.
  */
 export function createNavigationRuntime() {
@@ -73,12 +77,54 @@ export function createNavigationRuntime() {
     }
   }
 
+  /**
+   * Submits a form to a page action and renders the page the server sends
+   * back — with the action result and validation errors — without a full
+   * reload. Mirrors what the browser does natively for the same form.
+   *
+   * Aborts any in-progress navigation or submission. A `redirect()` in the
+   * action is followed and reflected in the address bar.
+   *
+   * @param {HTMLFormElement} form - The form to submit.
+   * @param {HTMLElement | null} [submitter] - Button that submitted the form;
+   *   its `name`/`value` (e.g. `_action`) and `formaction` are honored.
+   * @returns {Promise<void>} Resolves when the page has been re-rendered.
+   */
+  async function submitAction(form, submitter = null) {
+    abortPrevious();
+
+    const controller = new AbortController();
+    currentNavigationController = controller;
+
+    const action = submitter?.getAttribute("formaction") || form.getAttribute("action") || "";
+    const url = new URL(action, window.location.href);
+    // urlencoded, like a native form post (file inputs are not supported)
+    const body = new URLSearchParams(new FormData(form, submitter));
+
+    try {
+      layoutRenderer.reset();
+      await renderSSRPage(url.pathname + url.search, controller.signal, {
+        method: "POST",
+        body,
+      });
+    } catch (e) {
+      if (e.name !== "AbortError") {
+        console.error("Action error:", e);
+      }
+    } finally {
+      if (currentNavigationController === controller) {
+        currentNavigationController = null;
+      }
+    }
+  }
+
   /**
    * Initializes the SPA router.
    *
    * Sets up:
    * - Popstate listener for browser back/forward navigation
    * - Link interception for SPA navigation
+   * - Form interception for page actions
    * - Prefetch observer for internal links
    * - Initial navigation if the current route is not SSR
    *
@@ -90,6 +136,7 @@ export function createNavigationRuntime() {
     });
 
     setupLinkInterceptor(navigate);
+    setupFormInterceptor(submitAction);
     setupPrefetchObserver();
     layoutRenderer.reset();
 
@@ -99,5 +146,5 @@ export function createNavigationRuntime() {
     }
   }
 
-  return { navigate, initialize };
+  return { navigate, submitAction, initialize };
 }
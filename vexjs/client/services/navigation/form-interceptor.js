@@ -0,0 +1,26 @@
+/**
+ * Sets up a global submit listener to send enhanced forms through the
+ * navigation runtime instead of a full page reload.
+ *
+ * Only forms that opt in with `data-enhance` are intercepted, and only when
+ * they POST to the same origin — everything else keeps the native browser
+ * behavior, which is also what enhanced forms fall back to without JS.
+ *
+ * @param {(form: HTMLFormElement, submitter?: HTMLElement | null) => void} submit -
+ *   Function that submits the form (e.g. the runtime's `submitAction`).
+ */
+export function setupFormInterceptor(submit) {
+  document.addEventListener("submit", (event) => {
+    const form = event.target;
+    if (!(form instanceof HTMLFormElement) || form.dataset.enhance === undefined) return;
+
+    const method = (event.submitter?.getAttribute("formmethod") || form.method).toLowerCase();
+    if (method !== "post") return;
+
+    const url = new URL(form.action, window.location.href);
+    if (url.origin !== window.location.origin) return;
+
+    event.preventDefault();
+    submit(form, event.submitter);
+  });
+}
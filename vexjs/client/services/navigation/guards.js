@@ -0,0 +1,49 @@
+import { auth } from "../_routes.js";
+
+/**
+ * Asks the server whether the current visitor is authenticated.
+ *
+ * The answer comes from the same `isAuthenticated(req)` hook the server uses
+ * to guard pages, so client and server guards never disagree. Any failure
+ * (network error, static build without a server) counts as anonymous.
+ *
+ * @param {AbortSignal} signal - Aborts the request when the navigation is cancelled.
+ * @returns {Promise<boolean>}
+ */
+async function fetchIsAuthenticated(signal) {
+  try {
+    const res = await fetch("/_vexjs/auth", { signal, credentials: "same-origin" });
+    if (!res.ok) return false;
+
+    const { authenticated } = await res.json();
+    return authenticated === true;
+  } catch (e) {
+    if (e.name === "AbortError") throw e;
+    return false;
+  }
+}
+
+/**
+ * Resolves where a guarded route should send the visitor, mirroring the
+ * server-side guard in `handlePageRequest`.
+ *
+ * - `meta.requiresAuth` and anonymous visitor → `auth.loginPath`
+ * - `meta.guestOnly` and authenticated visitor → `auth.homePath`
+ *
+ * Routes without guards resolve immediately without any request.
+ *
+ * @param {import('../_routes.js').Route | null} route - The target route.
+ * @param {AbortSignal} signal - Navigation abort signal.
+ * @returns {Promise<string | null>} Redirect path, or `null` when access is allowed.
+ */
+export async function getGuardRedirect(route, signal) {
+  const { requiresAuth, guestOnly } = route?.meta ?? {};
+  if (!requiresAuth && !guestOnly) return null;
+
+  const authenticated = await fetchIsAuthenticated(signal);
+
+  if (requiresAuth && !authenticated) return auth.loginPath;
+  if (guestOnly && authenticated) return auth.homePath;
+
+  return null;
+}
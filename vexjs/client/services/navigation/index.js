@@ -4,5 +4,6 @@ const navigation = createNavigationRuntime();
 
 export const initializeRouter = navigation.initialize;
 export const navigate = navigation.navigate;
+export const submitAction = navigation.submitAction;
 export { useRouteParams } from "./use-route-params.js";
 export { useQueryParams } from "./use-query-params.js";
@@ -1,8 +1,8 @@
-import { findRouteWithParams } from "./router.js";
-import { routes } from "../_routes.js";
+import { findRouteWithParams, findNotFoundRoute } from "./router.js";
 import { updateRouteParams } from "./use-route-params.js";
 import { renderPage } from "./render-page.js";
 import { renderSSRPage } from "./render-ssr.js";
+import { getGuardRedirect } from "./guards.js";
 
 /**
  * Handles the internal SPA navigation logic.
@@ -10,9 +10,9 @@ import { renderSSRPage } from "./render-ssr.js";
  * This function performs the following tasks:
  * - Updates the route parameters store.
  * - Updates browser history (if `addToHistory` is true).
- * - Resolves the target route using the router.
+ * - Resolves the target route using the router, falling back to the nearest not-found route.
+ * - Checks the route guards (`requiresAuth` / `guestOnly`), redirecting if necessary.
  * - Handles SSR routes by fetching and rendering via streaming.
- * - Checks authentication and access restrictions, redirecting if necessary.
  * - Renders the target page component and its layouts.
  * - Calls `onFinish` when navigation is complete, regardless of success or error.
  *
@@ -36,7 +36,26 @@ export async function navigateInternal({
 
   const routePath = path.split("?")[0];
   const { route: matchedRoute } = findRouteWithParams(routePath);
-  const route = matchedRoute ?? routes.find((r) => r.isNotFound) ?? null;
+  // Unknown paths render the nearest not-found page, as the server does.
+  // SSR not-found routes are fetched under the original path so the server
+  // answers with the same 404 document.
+  const route = matchedRoute ?? findNotFoundRoute(routePath);
+
+  // Guards are resolved before touching history so the guarded URL never
+  // becomes a history entry — the redirect target takes its place instead.
+  const redirectPath = await getGuardRedirect(route, controller.signal);
+  if (redirectPath) {
+    if (!addToHistory) {
+      history.replaceState({}, "", redirectPath);
+    }
+    return navigateInternal({
+      path: redirectPath,
+      addToHistory,
+      controller,
+      layoutRenderer,
+      onFinish,
+    });
+  }
 
   if (addToHistory) {
     history.pushState({}, "", path);
@@ -49,16 +68,6 @@ export async function navigateInternal({
       return;
     }
 
-    if (route?.meta?.requiresAuth && !app.Store?.loggedIn) {
-      location.href = "/account/login";
-      return;
-    }
-
-    if (route?.meta?.guestOnly && app.Store?.loggedIn) {
-      location.href = "/account";
-      return;
-    }
-
     await renderPage({ route, layoutRenderer });
   } finally {
     onFinish();
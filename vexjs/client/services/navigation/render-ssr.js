@@ -6,12 +6,20 @@
  *
  * @param {string} path - The URL or path of the SSR page to fetch.
  * @param {AbortSignal} signal - AbortSignal to cancel the fetch if needed.
+ * @param {RequestInit} [init={}] - Extra fetch options (e.g. the POST of a page action).
  * @throws {Error} If the response body is not readable.
  */
-export async function renderSSRPage(path, signal) {
-  const res = await fetch(path, { signal });
+export async function renderSSRPage(path, signal, init = {}) {
+  const res = await fetch(path, { ...init, signal });
   if (!res.body) throw new Error("Invalid SSR response");
 
+  // The server redirected (route guard, middleware or redirect() in getData):
+  // reflect the final URL in the address bar.
+  if (res.redirected) {
+    const url = new URL(res.url);
+    history.replaceState({}, "", url.pathname + url.search);
+  }
+
   const reader = res.body.getReader();
   const decoder = new TextDecoder();
   const parser = new DOMParser();
@@ -4,29 +4,60 @@ import { routes } from "../_routes.js";
  * Converts a route path string with parameters (e.g., "/page/:city/:team")
  * into a RegExp for matching and extracts parameter keys.
  *
+ * Supports the same syntax the server registers with Express:
+ *   - `:param`     one segment
+ *   - `*param`     one or more segments (catch-all)
+ *   - `{/*param}`  zero or more segments (optional catch-all)
+ *
  * @param {string} routePath - The route path pattern.
- * @returns {{ regex: RegExp, keys: string[] }} An object containing the RegExp and parameter names.
+ * @returns {{ regex: RegExp, keys: Array<{ name: string, catchAll: boolean }> }}
+ *          An object containing the RegExp and parameter descriptors.
  */
 function pathToRegex(routePath) {
   const keys = [];
   const regex = new RegExp(
     "^" +
-      routePath.replace(/:([^/]+)/g, (_, key) => {
-        keys.push(key);
+      routePath.replace(/\{\/\*([^/}]+)\}|\*([^/]+)|:([^/]+)/g, (_, optionalCatchAll, catchAll, param) => {
+        if (optionalCatchAll) {
+          keys.push({ name: optionalCatchAll, catchAll: true });
+          return "(?:/(.+))?";
+        }
+        if (catchAll) {
+          keys.push({ name: catchAll, catchAll: true });
+          return "(.+)";
+        }
+        keys.push({ name: param, catchAll: false });
         return "([^/]+)";
       }) +
-      "$"
+      "/?$"
   );
   return { regex, keys };
 }
 
+/**
+ * Turns a regex capture into a decoded param value — catch-all captures
+ * become an array of segments, like `req.params` on the server.
+ *
+ * @param {string | undefined} value
+ * @param {boolean} catchAll
+ * @returns {string | string[] | undefined}
+ */
+function toParamValue(value, catchAll) {
+  if (value === undefined) return undefined;
+  if (!catchAll) return decodeURIComponent(value);
+  return value.split("/").filter(Boolean).map(decodeURIComponent);
+}
+
 /**
  * Finds the first route matching a given path and extracts route parameters.
  *
  * Supports both string-based paths with parameters and RegExp-based paths.
  *
  * @param {string} path - The URL path to match (e.g., "/page/madrid/barcelona").
- * @returns {{ route: import('../_routes.js').Route | null, params: Record<string, string> }}
+ * Routes are generated in matching precedence order (static > dynamic >
+ * catch-all), so the first match is the most specific one.
+ *
+ * @returns {{ route: import('../_routes.js').Route | null, params: Record<string, string | string[]> }}
  *          Returns the matched route and an object of extracted parameters.
  */
 export function findRouteWithParams(path) {
@@ -36,7 +67,10 @@ export function findRouteWithParams(path) {
       const match = path.match(regex);
       if (match) {
         const params = {};
-        keys.forEach((k, i) => (params[k] = match[i + 1]));
+        keys.forEach((k, i) => {
+          const value = toParamValue(match[i + 1], k.catchAll);
+          if (value !== undefined) params[k.name] = value;
+        });
         return { route: r, params };
       }
     } else if (r.path instanceof RegExp && r.path.test(path)) {
@@ -46,3 +80,29 @@ export function findRouteWithParams(path) {
 
   return { route: null, params: {} };
 }
+
+/**
+ * Finds the not-found route for a path that matched no page — the one whose
+ * folder is the deepest ancestor of the path, like the server does.
+ *
+ * @param {string} path - The URL path that matched no route.
+ * @returns {import('../_routes.js').Route | null}
+ */
+export function findNotFoundRoute(path) {
+  let nearest = null;
+  let nearestBaseLength = -1;
+
+  for (const r of routes) {
+    if (!r.isNotFound) continue;
+
+    const base = r.path.replace(/\/not-found$/, "");
+    const applies = base === "" || path === base || path.startsWith(`${base}/`);
+
+    if (applies && base.length > nearestBaseLength) {
+      nearest = r;
+      nearestBaseLength = base.length;
+    }
+  }
+
+  return nearest;
+}
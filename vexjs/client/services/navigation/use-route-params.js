@@ -1,5 +1,5 @@
 import { reactive } from "../reactive.js";
-import { routes } from "../_routes.js";
+import { findRouteWithParams } from "./router.js";
 
 /**
  * Reactive store holding the current route params.
@@ -10,39 +10,19 @@ const routeParams = reactive({});
 /**
  * Extracts dynamic parameters from a pathname based on route definitions.
  *
+ * Uses the same matcher as navigation, so both agree on which route wins.
+ *
  * Supported syntax:
  *   /posts/:id
  *   /users/:userId/:postId
+ *   /docs/*slug        → { slug: ["a", "b"] }
+ *   /docs{/*slug}      → { slug: ["a", "b"] } or {} for "/docs"
  *
  * @param {string} pathname - URL pathname (no query, no hash)
  * @returns {Object} Extracted params
  */
 function extractParams(pathname) {
-  const pathParts = pathname.split("/").filter(Boolean);
-
-  for (const route of routes) {
-    const routeParts = route.path.split("/").filter(Boolean);
-    if (routeParts.length !== pathParts.length) continue;
-
-    const params = {};
-    let match = true;
-
-    for (let i = 0; i < routeParts.length; i++) {
-      const routePart = routeParts[i];
-      const pathPart = pathParts[i];
-
-      if (routePart.startsWith(":")) {
-        params[routePart.slice(1)] = pathPart;
-      } else if (routePart !== pathPart) {
-        match = false;
-        break;
-      }
-    }
-
-    if (match) return params;
-  }
-
-  return {};
+  return findRouteWithParams(pathname).params;
 }
 
 /**
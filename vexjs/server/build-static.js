@@ -21,7 +21,7 @@ console.log("📁 Initializing directories...");
 await initializeDirectories();
 
 console.log("⚙️  Generating components and routes...");
-const { serverRoutes } = await build();
+const { serverRoutes, apiRoutes } = await build();
 
 // Step 2: Create dist/ structure (clean start)
 console.log("🗂️  Creating dist/ structure...");
@@ -121,7 +121,7 @@ if (ssgRoutes.length > 0) {
   }
 }
 
-// Step 10: Report SSR-only routes (skipped in static build)
+// Step 10: Report SSR-only and API routes (skipped in static build)
 const ssrOnlyRoutes = serverRoutes.filter((r) => r.meta.ssr);
 if (ssrOnlyRoutes.length > 0) {
   console.warn("\n⚠️  The following routes require a server and were NOT included in the static build:");
@@ -131,6 +131,14 @@ if (ssrOnlyRoutes.length > 0) {
   console.warn("   These routes will show a 404 in the static build.\n");
 }
 
+if (apiRoutes.length > 0) {
+  console.warn("⚠️  The following API routes require a server and were NOT included in the static build:");
+  for (const r of apiRoutes) {
+    console.warn(`   ${r.methods.join(", ")} ${r.path}`);
+  }
+  console.warn("");
+}
+
 console.log("✅ Static build complete! Output: dist/");
 console.log("\nTo serve locally:  npx serve dist");
 console.log("Static host note:  configure your host to serve dist/index.html for all 404s (SPA fallback).");
@@ -0,0 +1,289 @@
+import "dotenv/config";
+import path from "path";
+import { pathToFileURL } from "url";
+import { CACHE_CONFIG, PROJECT_ROOT, getPagePath } from "./utils/files.js";
+import { createFileSystemStore, getCacheStore } from "./utils/cache-store.js";
+import { getRevalidateSeconds, isCacheEntryStale } from "./utils/cache.js";
+import { parsePageCacheKey } from "./utils/cache-key.js";
+import { fillRoute, processHtmlFile } from "./utils/component-processor.js";
+import { matchServerRoute } from "./utils/revalidate.js";
+import { regeneratePage } from "./utils/router.js";
+
+/**
+ * `vex cache <command>` — inspects and manages the ISR cache of the built app
+ * from the command line, through the store configured in vex.config.json:
+ *
+ *   vex cache ls [--json]     Lists cached pages: path, age, stale flag, size and tags.
+ *   vex cache purge [pattern] Deletes cached pages whose path matches the glob
+ *                             (`/blog/**`), or every page without a pattern.
+ *   vex cache warm            Renders every ISR/SSG page — each `getStaticPaths`
+ *                             entry for dynamic routes — and stores it.
+ *
+ * The `memory` store lives inside the server process and cannot be reached
+ * from here, so the commands work on `.vexjs/_cache/` instead — the pages a
+ * server reads on a miss when it starts.
+ */
+
+const [command, ...args] = process.argv.slice(2);
+
+if (CACHE_CONFIG.store === "memory") {
+  console.log("ℹ️  The memory store is private to each server process — using .vexjs/_cache/ (build output) instead.");
+  CACHE_CONFIG.store = "fs";
+}
+
+/**
+ * Loads the server routes generated by `vex build`.
+ *
+ * @async
+ * @returns {Promise<Array<object>>}
+ */
+async function loadRoutes() {
+  const routesPath = path.join(PROJECT_ROOT, ".vexjs", "_routes.js");
+  try {
+    const { routes } = await import(pathToFileURL(routesPath).href);
+    return routes;
+  } catch {
+    console.error("❌ No build found (.vexjs/_routes.js). Run `vex build` first.");
+    process.exit(1);
+  }
+}
+
+/**
+ * Formats an age in milliseconds as the largest whole unit (`42s`, `3h`).
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatAge(ms) {
+  const seconds = Math.max(0, Math.floor(ms / 1000));
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.floor(seconds / 60)}m`;
+  if (seconds < 86400) return `${Math.floor(seconds / 3600)}h`;
+  return `${Math.floor(seconds / 86400)}d`;
+}
+
+/**
+ * Formats a byte count (`812 B`, `14.2 KB`).
+ *
+ * @param {number} bytes
+ * @returns {string}
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
+
+/**
+ * Prints rows as a left-aligned table.
+ *
+ * @param {string[]} header
+ * @param {string[][]} rows
+ */
+function printTable(header, rows) {
+  const widths = header.map((title, i) => Math.max(title.length, ...rows.map((row) => row[i].length)));
+  const format = (row) => row.map((cell, i) => cell.padEnd(widths[i])).join("  ").trimEnd();
+
+  console.log(format(header));
+  rows.forEach((row) => console.log(format(row)));
+}
+
+/**
+ * `vex cache ls` — lists the cached pages, sorted by key. An entry is stale
+ * when it was revalidated on demand or is older than its page's `revalidate`.
+ *
+ * @async
+ * @param {string[]} options - `--json` prints the entries as JSON.
+ */
+async function listCache(options) {
+  const routes = await loadRoutes();
+  const store = await getCacheStore();
+  const keys = (await store.keys()).sort();
+
+  const entries = [];
+  for (const key of keys) {
+    const entry = await store.get(key);
+    if (!entry) continue;
+
+    const { path: urlPath, variant } = parsePageCacheKey(key);
+    const matched = matchServerRoute(routes, urlPath);
+    // Entries of removed pages only go stale when flagged.
+    const revalidateSeconds = matched ? getRevalidateSeconds(matched.route.meta?.revalidate ?? 0) : -1;
+
+    entries.push({
+      key,
+      path: urlPath,
+      variant,
+      generatedAt: entry.meta.generatedAt,
+      ageSeconds: Math.floor((Date.now() - entry.meta.generatedAt) / 1000),
+      stale: isCacheEntryStale(entry.meta, revalidateSeconds),
+      size: Buffer.byteLength(entry.html),
+      tags: entry.meta.tags ?? [],
+    });
+  }
+
+  if (options.includes("--json")) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  if (entries.length === 0) {
+    console.log(`📭 The cache is empty (store: ${CACHE_CONFIG.store}).`);
+    return;
+  }
+
+  printTable(
+    ["PATH", "AGE", "STALE", "SIZE", "TAGS"],
+    entries.map((entry) => [
+      entry.key,
+      formatAge(entry.ageSeconds * 1000),
+      entry.stale ? "yes" : "no",
+      formatSize(entry.size),
+      entry.tags.join(", ") || "-",
+    ])
+  );
+  console.log(`\n📦 ${entries.length} cached page(s) (store: ${CACHE_CONFIG.store})`);
+}
+
+/**
+ * Converts a path glob to a regular expression: `*` and `?` match within one
+ * segment, `**` across segments — `/docs/**` matches `/docs/a/b`, and a `**`
+ * segment also matches zero segments. Other characters match literally.
+ *
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  const source = pattern.replace(
+    /\*\*\/|\*\*|\*|\?|[.+^${}()|[\]\\]/g,
+    (token) => {
+      if (token === "**/") return "(?:.*/)?";
+      if (token === "**") return ".*";
+      if (token === "*") return "[^/]*";
+      if (token === "?") return "[^/]";
+      return `\\${token}`;
+    }
+  );
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * `vex cache purge [pattern]` — deletes the cached pages whose path matches
+ * `pattern`, a glob such as `/blog/*` or `/docs/**`. Every variant of a
+ * matching path (`metadata.cacheKey`) is deleted with it.
+ *
+ * With a store other than `fs`, the pre-rendered copy in `.vexjs/_cache/` is
+ * deleted too — otherwise the server would read it back on the next miss.
+ *
+ * @async
+ * @param {string | undefined} pattern - Deletes everything when omitted.
+ */
+async function purgeCache(pattern) {
+  const matcher = pattern ? globToRegExp(pattern) : null;
+  const stores = [await getCacheStore()];
+  if (CACHE_CONFIG.store !== "fs") stores.push(createFileSystemStore());
+
+  const purged = new Set();
+  for (const store of stores) {
+    for (const key of await store.keys()) {
+      if (matcher && !matcher.test(parsePageCacheKey(key).path)) continue;
+
+      await store.delete(key);
+      purged.add(key);
+    }
+  }
+
+  [...purged].sort().forEach((key) => console.log(`  🗑️  ${key}`));
+  console.log(`✅ Purged ${purged.size} cached page(s)${pattern ? ` matching ${pattern}` : ""}.`);
+}
+
+/**
+ * Lists the URLs of an ISR/SSG route to pre-render: its own path, or one URL
+ * per `getStaticPaths` entry for dynamic routes.
+ *
+ * @async
+ * @param {{ path: string, serverPath: string, pageName: string }} route
+ * @returns {Promise<string[]>}
+ */
+async function getRouteUrls(route) {
+  const isDynamic = /[:*]/.test(route.serverPath);
+  if (!isDynamic) return [route.serverPath];
+
+  const { getStaticPaths } = await processHtmlFile(getPagePath(route.pageName));
+  const paths = getStaticPaths ? await getStaticPaths() : [];
+  return paths.map(({ params }) => fillRoute(route.serverPath, params));
+}
+
+/**
+ * `vex cache warm` — renders every ISR and SSG page of the build and stores
+ * it, one at a time, so the first visitors get a cache hit. Dynamic routes
+ * are rendered for each `getStaticPaths` entry; pages whose render is not
+ * cacheable (it set cookies or a status) are reported as skipped.
+ *
+ * @async
+ * @returns {Promise<boolean>} `false` when a page failed to render.
+ */
+async function warmCache() {
+  const routes = await loadRoutes();
+  const cachedRoutes = routes.filter(
+    (route) => !route.isNotFound && getRevalidateSeconds(route.meta?.revalidate ?? 0) !== 0
+  );
+
+  let warmed = 0;
+  let failed = 0;
+
+  for (const route of cachedRoutes) {
+    let urls;
+    try {
+      urls = await getRouteUrls(route);
+    } catch (error) {
+      console.error(`  ❌ ${route.path} — getStaticPaths failed: ${error.message}`);
+      failed++;
+      continue;
+    }
+
+    for (const urlPath of urls) {
+      const matched = matchServerRoute([route], urlPath);
+      try {
+        const stored = await regeneratePage(route, urlPath, matched?.params ?? {});
+        if (stored) {
+          console.log(`  ✓ ${urlPath}`);
+          warmed++;
+        } else {
+          console.log(`  – ${urlPath} (skipped: the render set cookies or a status)`);
+        }
+      } catch (error) {
+        console.error(`  ❌ ${urlPath} — ${error.message}`);
+        failed++;
+      }
+    }
+  }
+
+  console.log(`${failed ? "⚠️ " : "✅"} Warmed ${warmed} page(s)${failed ? `, ${failed} failed` : ""}.`);
+  return failed === 0;
+}
+
+const subcommands = {
+  ls: () => listCache(args),
+  purge: () => purgeCache(args[0]),
+  warm: warmCache,
+};
+
+if (!subcommands[command]) {
+  console.error(`Unknown cache command: "${command}"\nAvailable: ls [--json], purge [pattern], warm`);
+  process.exit(1);
+}
+
+let succeeded = true;
+try {
+  succeeded = (await subcommands[command]()) !== false;
+} catch (error) {
+  console.error(`❌ vex cache ${command} failed:`, error.message);
+  succeeded = false;
+} finally {
+  // Stores holding a connection (redis) would keep the process alive.
+  const store = await getCacheStore().catch(() => null);
+  await store?.close?.();
+}
+
+process.exit(succeeded ? 0 : 1);
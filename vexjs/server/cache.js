@@ -0,0 +1,13 @@
+/**
+ * `@cfdez11/vex/cache` — cache helpers for code outside server scripts, such
+ * as API routes:
+ *
+ *   import { revalidateTag, invalidatePrefix } from "@cfdez11/vex/cache";
+ *
+ * Kept apart from the package entry (`server/index.js`), which starts the
+ * server when imported: a route importing it would load the framework a
+ * second time — and, during `vex build`, wait on the build it is part of.
+ */
+
+export { revalidateTag } from "./utils/cache.js";
+export { withCache, invalidate, invalidatePrefix } from "./utils/data-cache.js";
@@ -2,18 +2,23 @@ import "dotenv/config";
 import express from "express";
 import path from "path";
 import { pathToFileURL } from "url";
-import { handlePageRequest, revalidatePath } from "./utils/router.js";
+import { handlePageRequest, handleApiRequest, sendMethodNotAllowed, findNotFoundRoute } from "./utils/router.js";
+import { handleRevalidate, handleRevalidateBodyError } from "./utils/revalidate.js";
+import { handleAuthStatus } from "./utils/auth.js";
+import { compression, servePrecompressed, setPrecompressedHeaders } from "./utils/compression.js";
 import { initializeDirectories, CLIENT_DIR, USER_GENERATED_DIR } from "./utils/files.js";
 
 await initializeDirectories();
 
 let serverRoutes;
+let apiRoutes;
 
 if (process.env.NODE_ENV === "production") {
   try {
     const routesPath = path.join(process.cwd(), ".vexjs", "_routes.js");
-    const { routes } = await import(pathToFileURL(routesPath).href);
+    const { routes, apiRoutes: builtApiRoutes = [] } = await import(pathToFileURL(routesPath).href);
     serverRoutes = routes;
+    apiRoutes = builtApiRoutes;
     console.log("Routes loaded.");
   } catch {
     console.error("ERROR: No build found. Run 'vex build' before starting in production.");
@@ -24,73 +29,77 @@ if (process.env.NODE_ENV === "production") {
   const result = await build();
   console.log("Components and routes generated.");
   serverRoutes = result.serverRoutes;
+  apiRoutes = result.apiRoutes;
 }
 
 const app = express();
 
+// Compress pages and API responses on the fly (brotli or gzip). Flushed on
+// every write, so streamed Suspense chunks are not held back.
+app.use(compression());
+
+/**
+ * Options shared by the static mounts. Each mount is preceded by
+ * servePrecompressed(), which serves the `.br` / `.gz` copies written by
+ * `vex build` when the client accepts them.
+ */
+const staticOptions = {
+  setHeaders(res, filePath) {
+    const originalPath = setPrecompressedHeaders(res, filePath);
+    if (originalPath.endsWith(".js")) {
+      res.setHeader("Content-Type", "application/javascript");
+    }
+  },
+};
+
+/**
+ * Static mount for `root`, serving precompressed copies when available.
+ *
+ * @param {string} root
+ * @returns {import("express").RequestHandler[]}
+ */
+const serveStatic = (root) => [servePrecompressed(root), express.static(root, staticOptions)];
+
 // Serve generated client component bundles at /_vexjs/_components/
-app.use(
-  "/_vexjs/_components",
-  express.static(path.join(process.cwd(), ".vexjs", "_components"), {
-    setHeaders(res, filePath) {
-      if (filePath.endsWith(".js")) {
-        res.setHeader("Content-Type", "application/javascript");
-      }
-    },
-  })
-);
+app.use("/_vexjs/_components", serveStatic(path.join(process.cwd(), ".vexjs", "_components")));
 
 // Serve framework runtime JS + generated files (_routes.js) at /_vexjs/services/
 // initializeDirectories() pre-populates this dir with framework files; build()
 // adds generated files (_routes.js). Single source of truth for all /_vexjs/services/*.
-app.use(
-  "/_vexjs/services",
-  express.static(path.join(process.cwd(), ".vexjs", "services"), {
-    setHeaders(res, filePath) {
-      if (filePath.endsWith(".js")) {
-        res.setHeader("Content-Type", "application/javascript");
-      }
-    },
-  })
-);
+app.use("/_vexjs/services", serveStatic(path.join(process.cwd(), ".vexjs", "services")));
 
 // Serve pre-bundled user JS utility files at /_vexjs/user/
 // Registered before the generic /_vexjs mount so requests don't fall through
 // to CLIENT_DIR unnecessarily. esbuild bundles each file with npm packages
 // inlined; vex/*, @/*, and relative user imports stay external (singletons).
-app.use(
-  "/_vexjs/user",
-  express.static(USER_GENERATED_DIR, {
-    setHeaders(res, filePath) {
-      if (filePath.endsWith(".js")) {
-        res.setHeader("Content-Type", "application/javascript");
-      }
-    },
-  })
-);
+app.use("/_vexjs/user", serveStatic(USER_GENERATED_DIR));
 
 // Serve static framework assets (favicon.ico, app.webmanifest) from CLIENT_DIR.
 // Runtime JS files (reactive.js, index.js, etc.) are already in .vexjs/services/
 // via initializeDirectories() and are served by the /_vexjs/services route above.
-app.use(
-  "/_vexjs",
-  express.static(CLIENT_DIR, {
-    setHeaders(res, filePath) {
-      if (filePath.endsWith(".js")) {
-        res.setHeader("Content-Type", "application/javascript");
-      }
-    },
-  })
-);
+app.use("/_vexjs", serveStatic(CLIENT_DIR));
 
 // Serve user's public directory at /
-app.use("/", express.static(path.join(process.cwd(), "public")));
+app.use("/", serveStatic(path.join(process.cwd(), "public")));
+
+// On-demand ISR revalidation — POST only, authenticated with VEX_REVALIDATE_SECRET
+app.post(
+  "/revalidate",
+  express.json(),
+  (req, res) => handleRevalidate(req, res, serverRoutes),
+  handleRevalidateBodyError
+);
+app.all("/revalidate", (req, res) => {
+  res.set("Allow", "POST");
+  res.status(405).json({ error: "Method not allowed" });
+});
 
-app.get("/revalidate", revalidatePath);
+// Authentication state for the client-side route guards (requiresAuth / guestOnly)
+app.get("/_vexjs/auth", handleAuthStatus);
 
 // HMR SSE endpoint — dev only
 if (process.env.NODE_ENV !== "production") {
-  const { hmrEmitter } = await import("./utils/hmr.js");
+  const { hmrEmitter, clearTemplateErrors, getTemplateErrors } = await import("./utils/hmr.js");
 
   app.get("/_vexjs/hmr", (req, res) => {
     res.setHeader("Content-Type", "text/event-stream");
@@ -101,25 +110,76 @@ if (process.env.NODE_ENV !== "production") {
     const onReload = (filename) => {
       res.write(`event: reload\ndata: ${filename}\n\n`);
     };
+    const onTemplateError = (error) => {
+      res.write(`event: template-error\ndata: ${JSON.stringify(error)}\n\n`);
+    };
+
+    // Errors of the render that produced the connecting page
+    getTemplateErrors(req.query.url).forEach(onTemplateError);
 
     hmrEmitter.on("reload", onReload);
-    req.on("close", () => hmrEmitter.off("reload", onReload));
+    hmrEmitter.on("template-error", onTemplateError);
+    req.on("close", () => {
+      hmrEmitter.off("reload", onReload);
+      hmrEmitter.off("template-error", onTemplateError);
+    });
+  });
+
+  // Each render of a URL replaces the template errors of the previous one
+  app.use((req, res, next) => {
+    if (req.method === "GET") clearTemplateErrors(req.originalUrl);
+    next();
   });
 }
 
+/**
+ * Registers the GET handler of every page, plus a POST handler for pages
+ * that export `actions` (form submissions, urlencoded or JSON bodies).
+ */
 const registerSSRRoutes = (app, routes) => {
+  const parseBody = [express.urlencoded({ extended: true }), express.json()];
+
   routes.forEach((route) => {
     app.get(
       route.serverPath,
       async (req, res) => await handlePageRequest(req, res, route)
     );
+
+    if (route.meta.hasActions) {
+      app.post(
+        route.serverPath,
+        ...parseBody,
+        async (req, res) => await handlePageRequest(req, res, route)
+      );
+    }
+  });
+};
+
+/**
+ * Registers one Express handler per HTTP method exported by each `route.js`,
+ * plus a fallback that answers 405 for any other method on the same path.
+ * JSON and urlencoded bodies are parsed only for these routes.
+ */
+const registerApiRoutes = (app, routes) => {
+  const parseBody = [express.json(), express.urlencoded({ extended: true })];
+
+  routes.forEach((route) => {
+    route.methods.forEach((method) => {
+      app[method.toLowerCase()](
+        route.serverPath,
+        ...parseBody,
+        async (req, res) => await handleApiRequest(req, res, route)
+      );
+    });
+    app.all(route.serverPath, (req, res) => sendMethodNotAllowed(res, route));
   });
 };
 
+registerApiRoutes(app, apiRoutes);
 registerSSRRoutes(app, serverRoutes);
 
 app.use(async (req, res) => {
-  const notFoundRoute = serverRoutes.find((r) => r.isNotFound);
+  const notFoundRoute = findNotFoundRoute(serverRoutes, req.path);
   if (notFoundRoute) {
     return handlePageRequest(req, res, notFoundRoute);
   }
@@ -1,6 +1,7 @@
 import "dotenv/config";
 import { build } from "./utils/component-processor.js";
-import { initializeDirectories } from "./utils/files.js";
+import { initializeDirectories, CLIENT_COMPONENTS_DIR, USER_GENERATED_DIR } from "./utils/files.js";
+import { precompressDirectory } from "./utils/compression.js";
 
 console.log("🔨 Starting prebuild...");
 
@@ -10,6 +11,12 @@ await initializeDirectories();
 console.log("⚙️  Generating components and routes...");
 await build();
 
+// The runtime files in .vexjs/services/ are minified — and precompressed —
+// by `vex start`, see initializeDirectories().
+console.log("🗜️  Precompressing client bundles...");
+await precompressDirectory(CLIENT_COMPONENTS_DIR);
+await precompressDirectory(USER_GENERATED_DIR);
+
 console.log("✅ Prebuild complete!");
 
 process.exit(0);
@@ -0,0 +1,129 @@
+import { processHtmlFile } from "./component-processor.js";
+
+/**
+ * Page actions (`actions` exported from a page's `<script server>`).
+ *
+ * Each action handles a form submission to the page. The server registers a
+ * POST handler for every page that exports actions; after the action runs the
+ * page is rendered again, so forms work without JavaScript. With JavaScript,
+ * `submitAction()` from `vex/navigation` does the same over fetch.
+ *
+ * Actions receive:
+ *   - `req`, `res`   Express request and response.
+ *   - `formData`     The submitted fields as a `FormData`.
+ *   - `context`      The rendering context passed to `getData`.
+ *
+ * Their return value is exposed to the page as `action.data`; `fail(errors)`
+ * rejects the submission and exposes `action.errors` instead. `redirect()`
+ * and `notFound()` work as in getData.
+ *
+ * The action to run is picked from `?action=<name>`, then from an `_action`
+ * field (e.g. the name/value of the submit button), and defaults to the only
+ * action when the page exports just one.
+ *
+ * @example
+ * <script server>
+ *   export const actions = {
+ *     async createComment({ formData }) {
+ *       const text = formData.get("text");
+ *       if (!text) fail({ text: "Comment cannot be empty" });
+ *       return { comment: await db.comments.create({ text }) };
+ *     },
+ *   };
+ * </script>
+ *
+ * <template>
+ *   <form method="post" action="?action=createComment" data-enhance>
+ *     <textarea name="text"></textarea>
+ *     <p x-if="action?.errors?.text">{{action.errors.text}}</p>
+ *     <button>Send</button>
+ *   </form>
+ * </template>
+ */
+
+/**
+ * Form field naming the action to run, for forms with several submit buttons.
+ */
+export const ACTION_FIELD = "_action";
+
+/**
+ * Resolves which action a request targets.
+ *
+ * @param {import("express").Request} req
+ * @param {Record<string, Function> | null} actions
+ * @returns {string}
+ */
+function getActionName(req, actions) {
+  if (req.query.action) return String(req.query.action);
+  if (req.body?.[ACTION_FIELD]) return String(req.body[ACTION_FIELD]);
+
+  const names = Object.keys(actions ?? {});
+  return names.length === 1 ? names[0] : "default";
+}
+
+/**
+ * Converts a parsed urlencoded/JSON body into a `FormData`, so actions read
+ * fields the same way regardless of how the form was submitted.
+ *
+ * @param {Record<string, any> | undefined} body
+ * @returns {FormData}
+ */
+function toFormData(body = {}) {
+  const formData = new FormData();
+
+  for (const [key, value] of Object.entries(body)) {
+    const values = Array.isArray(value) ? value : [value];
+    values.forEach((v) => formData.append(key, String(v)));
+  }
+
+  return formData;
+}
+
+/**
+ * Runs the action targeted by a POST to a page.
+ *
+ * `redirect()` and `notFound()` propagate as structured errors for the
+ * router to handle; any other error is a real failure and propagates too.
+ *
+ * @async
+ * @param {string} pagePath - Absolute path to the page file.
+ * @param {{
+ *   req: import("express").Request,
+ *   res: import("express").Response,
+ *   [key: string]: any
+ * }} context - Rendering context.
+ * @returns {Promise<{
+ *   name: string,
+ *   success: boolean,
+ *   data: any,
+ *   errors: Record<string, any> | null,
+ *   statusCode: number
+ * }>} Action state exposed to the page as `action`.
+ */
+export async function runPageAction(pagePath, context) {
+  const { actions } = await processHtmlFile(pagePath);
+  const { req, res } = context;
+
+  const name = getActionName(req, actions);
+  const action = actions?.[name];
+
+  if (typeof action !== "function") {
+    return {
+      name,
+      success: false,
+      data: null,
+      errors: { [ACTION_FIELD]: `Unknown action "${name}"` },
+      statusCode: 400,
+    };
+  }
+
+  try {
+    const data = await action({ req, res, formData: toFormData(req.body), context });
+    return { name, success: true, data: data ?? null, errors: null, statusCode: 200 };
+  } catch (err) {
+    if (!err.actionFailure) throw err;
+
+    const { errors, statusCode } = err.actionFailure;
+    return { name, success: false, data: null, errors, statusCode };
+  }
+}
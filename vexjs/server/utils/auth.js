@@ -0,0 +1,110 @@
+import { pathToFileURL } from "url";
+import { AUTH_CONFIG, fileExists } from "./files.js";
+
+/**
+ * Route guards driven by page metadata.
+ *
+ * Pages opt in through their `metadata`:
+ *   - `requiresAuth: true` → anonymous visitors are redirected to `auth.loginPath`
+ *   - `guestOnly: true`    → authenticated visitors are redirected to `auth.homePath`
+ *
+ * Whether a request is authenticated is decided by the user-supplied
+ * `isAuthenticated(req)` exported from the auth module (`auth.js` in the
+ * source directory by default, configurable with `auth.module` in
+ * vex.config.json).
+ *
+ * @example
+ * // auth.js
+ * export async function isAuthenticated(req) {
+ *   return Boolean(await getSession(req.headers.cookie));
+ * }
+ */
+
+/**
+ * Promise for the user's `isAuthenticated` hook, resolved once per process.
+ * Resolves to `null` when no auth module exists.
+ *
+ * @type {Promise<((req: import("express").Request) => boolean | Promise<boolean>) | null> | null}
+ */
+let isAuthenticatedHook = null;
+
+/**
+ * Loads the user's `isAuthenticated(req)` hook from the auth module.
+ *
+ * @returns {Promise<Function | null>}
+ */
+function loadIsAuthenticated() {
+  if (!isAuthenticatedHook) {
+    isAuthenticatedHook = (async () => {
+      if (!(await fileExists(AUTH_CONFIG.module))) return null;
+
+      const mod = await import(pathToFileURL(AUTH_CONFIG.module).href);
+      if (typeof mod.isAuthenticated !== "function") {
+        console.warn(`[auth] ${AUTH_CONFIG.module} does not export an isAuthenticated(req) function`);
+        return null;
+      }
+
+      return mod.isAuthenticated;
+    })();
+  }
+
+  return isAuthenticatedHook;
+}
+
+/**
+ * Tells whether a request belongs to an authenticated user.
+ *
+ * Without an auth module every request is treated as anonymous, so
+ * `requiresAuth` pages fail closed instead of being silently public.
+ *
+ * @param {import("express").Request} req
+ * @returns {Promise<boolean>}
+ */
+export async function isRequestAuthenticated(req) {
+  const isAuthenticated = await loadIsAuthenticated();
+  if (!isAuthenticated) return false;
+
+  return Boolean(await isAuthenticated(req));
+}
+
+/**
+ * Resolves where a guarded route should send the current request.
+ *
+ * @param {{ meta?: { requiresAuth?: boolean, guestOnly?: boolean } }} route
+ * @param {import("express").Request} req
+ * @returns {Promise<string | null>} Redirect path, or `null` when access is allowed.
+ */
+export async function getGuardRedirect(route, req) {
+  const { requiresAuth, guestOnly } = route.meta ?? {};
+  if (!requiresAuth && !guestOnly) return null;
+
+  const authenticated = await isRequestAuthenticated(req);
+
+  if (requiresAuth && !authenticated) return AUTH_CONFIG.loginPath;
+  if (guestOnly && authenticated) return AUTH_CONFIG.homePath;
+
+  return null;
+}
+
+/**
+ * Endpoint used by the client navigation runtime to mirror the server guards
+ * on SPA navigations. Answers with the authentication state of the caller.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @returns {Promise<void>}
+ *
+ * @example
+ * GET /_vexjs/auth
+ * → { "authenticated": true }
+ */
+export async function handleAuthStatus(req, res) {
+  try {
+    const authenticated = await isRequestAuthenticated(req);
+    res.setHeader("Cache-Control", "no-store");
+    res.json({ authenticated });
+  } catch (err) {
+    console.error("[auth] isAuthenticated failed:", err);
+    res.status(500).json({ error: "Failed to resolve authentication state" });
+  }
+}
@@ -0,0 +1,158 @@
+import path from "path";
+import { PROJECT_ROOT } from "./files.js";
+import { cookies } from "./request-context.js";
+
+/**
+ * ISR cache keys for pages whose output depends on more than the pathname.
+ *
+ * By default an ISR page is cached once per pathname. `metadata.cacheKey`
+ * lists the request values the page varies on, so each combination gets its
+ * own entry:
+ *
+ *   const metadata = {
+ *     revalidate: 60,
+ *     cacheKey: ["query:page", "header:accept-language", "cookie:locale"],
+ *   };
+ *
+ *   /products?page=2 (Accept-Language: es) → "/products?query:page=2&header:accept-language=es"
+ *
+ * Values missing from the request are left out, so a request without any of
+ * them uses the plain pathname — the entry pre-rendered by `vex build`.
+ *
+ * `cacheKey` may also be a function receiving the request and returning the
+ * variant as a string (`""`, `null` or `undefined` for the plain pathname),
+ * which is URI-encoded into the key.
+ * The framework cannot tell which request values such a function reads, so
+ * no `Vary` header is added for it.
+ */
+
+/** Request values a `cacheKey` entry can read, as `"<source>:<name>"`. */
+export const CACHE_KEY_SOURCES = ["query", "header", "cookie"];
+
+/**
+ * Parsed `metadata.cacheKey`.
+ *
+ * @typedef {{ entries: Array<{ source: string, name: string }> } | { fn: (req: import("express").Request) => any }} CacheKeySpec
+ */
+
+/**
+ * Parses and validates `metadata.cacheKey`.
+ *
+ * @param {string[] | Function | undefined | null} cacheKey
+ * @param {string} filePath - Page file, for the error message.
+ * @returns {CacheKeySpec | null} `null` when the page is cached by pathname only.
+ * @throws {Error} When the value is not a function or a list of `"<source>:<name>"` strings.
+ */
+export function parseCacheKey(cacheKey, filePath) {
+  if (cacheKey === undefined || cacheKey === null) return null;
+  if (typeof cacheKey === "function") return { fn: cacheKey };
+
+  const invalid = (detail) => new Error(
+    `Invalid metadata.cacheKey in ${path.relative(PROJECT_ROOT, filePath)} — ${detail}`
+  );
+
+  if (!Array.isArray(cacheKey)) {
+    throw invalid("expected a function or an array like [\"query:page\", \"header:accept-language\"]");
+  }
+
+  const entries = cacheKey.map((entry) => {
+    const [source, name] = typeof entry === "string" ? entry.split(/:(.*)/s) : [];
+    if (!CACHE_KEY_SOURCES.includes(source) || !name) {
+      throw invalid(
+        `${JSON.stringify(entry)} must be "<source>:<name>" with source ${CACHE_KEY_SOURCES.map((s) => `"${s}"`).join(", ")}`
+      );
+    }
+    return { source, name: source === "header" ? name.toLowerCase() : name };
+  });
+
+  return entries.length > 0 ? { entries } : null;
+}
+
+/**
+ * Reads one `cacheKey` entry from the request.
+ *
+ * @param {import("express").Request} req
+ * @param {URLSearchParams} searchParams
+ * @param {{ source: string, name: string }} entry
+ * @returns {string | undefined}
+ */
+function readRequestValue(req, searchParams, { source, name }) {
+  switch (source) {
+    case "query": {
+      const values = searchParams.getAll(name);
+      return values.length > 0 ? values.join(",") : undefined;
+    }
+    case "header": {
+      const value = req.headers?.[name];
+      return Array.isArray(value) ? value.join(",") : value;
+    }
+    case "cookie":
+      return cookies().get(name);
+  }
+}
+
+/**
+ * Builds the ISR cache key of a request: the pathname, followed by the
+ * values the page varies on.
+ *
+ * @param {import("express").Request} req
+ * @param {CacheKeySpec | null} spec - Result of `parseCacheKey`.
+ * @returns {string}
+ *
+ * @example
+ * getPageCacheKey(req, { entries: [{ source: "query", name: "page" }] });
+ * // "/products?query:page=2"
+ */
+export function getPageCacheKey(req, spec) {
+  // `req.url` includes the query string — only the values listed in
+  // `cacheKey` may split the cache, otherwise `/page?debug=true` would get
+  // its own copy of `/page`.
+  const { pathname, searchParams } = new URL(req.url, "http://x");
+  if (!spec) return pathname;
+
+  let variant;
+  if (spec.fn) {
+    const result = spec.fn(req);
+    variant = result === undefined || result === null ? "" : encodeURIComponent(String(result));
+  } else {
+    variant = spec.entries
+      .map((entry) => [entry, readRequestValue(req, searchParams, entry)])
+      .filter(([, value]) => value !== undefined && value !== "")
+      .map(([{ source, name }, value]) => `${source}:${name}=${encodeURIComponent(value)}`)
+      .join("&");
+  }
+
+  return variant ? `${pathname}?${variant}` : pathname;
+}
+
+/**
+ * Splits a cache key into the page pathname and its variant.
+ *
+ * @param {string} cacheKey
+ * @returns {{ path: string, variant: string | null }}
+ */
+export function parsePageCacheKey(cacheKey) {
+  const separatorIndex = cacheKey.indexOf("?");
+  if (separatorIndex === -1) return { path: cacheKey, variant: null };
+
+  return { path: cacheKey.slice(0, separatorIndex), variant: cacheKey.slice(separatorIndex + 1) };
+}
+
+/**
+ * Request headers a page varies on, for its `Vary` response header.
+ * Cookies vary on `Cookie`; query params need nothing, they are part of the URL.
+ *
+ * @param {CacheKeySpec | null} spec
+ * @returns {string[]}
+ */
+export function getVaryHeaders(spec) {
+  if (!spec?.entries) return [];
+
+  const names = spec.entries.map(({ source, name }) => {
+    if (source === "header") return name.replace(/(^|-)[a-z]/g, (char) => char.toUpperCase());
+    if (source === "cookie") return "Cookie";
+    return null;
+  });
+
+  return [...new Set(names.filter(Boolean))];
+}
@@ -0,0 +1,215 @@
+import { pathToFileURL } from "url";
+import {
+  CACHE_CONFIG,
+  deleteComponentHtmlDisk,
+  getComponentHtmlDisk,
+  listComponentHtmlDisk,
+  saveComponentHtmlDisk,
+} from "./files.js";
+import { createRedisStore } from "./redis-store.js";
+
+/**
+ * Storage backends for the ISR page cache.
+ *
+ * `cache.js` never touches the storage directly — it goes through the store
+ * selected with `cache.store` in vex.config.json:
+ *
+ *   - `"fs"` (default) `.vexjs/_cache/*.html` + `.meta.json`, one copy per machine.
+ *   - `"memory"`       In-process LRU map, bounded by `cache.maxEntries`.
+ *                      Fast, but lost on restart and not shared between instances.
+ *   - `"redis"`        Any server that speaks the Redis protocol (Redis, Valkey,
+ *                      KeyDB, Dragonfly…) at `cache.url`. Instances behind a load
+ *                      balancer share regenerated pages.
+ *   - any other value  Path (relative to srcDir) of a module whose default
+ *                      export is a store object, or a function returning one.
+ *
+ * `vex build` always writes pre-rendered pages to `.vexjs/_cache/`. Other
+ * stores read them from there on a miss and keep a copy, so pre-rendered
+ * pages are served from the first request on every instance.
+ *
+ * @example
+ * // vex.config.json
+ * { "cache": { "store": "redis", "url": "redis://cache.internal:6379", "prefix": "shop:" } }
+ *
+ * @example
+ * // cache-store.js — custom store
+ * export default {
+ *   async get(key) { return JSON.parse(await kv.get(key)); },
+ *   async set(key, entry) { await kv.put(key, JSON.stringify(entry)); },
+ *   async delete(key) { await kv.delete(key); },
+ *   async keys() { return kv.list(); },
+ * };
+ */
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} html - Rendered page.
+ * @property {{
+ *   generatedAt: number,
+ *   isStale: boolean,
+ *   path: string,
+ *   headers?: Record<string, string | string[]>,
+ *   [key: string]: any,
+ * }} meta - Entry metadata. Stores must persist it as-is.
+ */
+
+/**
+ * @typedef {Object} CacheStore
+ * @property {(key: string) => Promise<CacheEntry | null>} get
+ *   Returns the entry stored under `key`, or `null`.
+ * @property {(key: string, entry: CacheEntry) => Promise<void>} set
+ *   Stores (or replaces) the entry under `key`.
+ * @property {(key: string) => Promise<void>} delete
+ *   Removes the entry under `key`. Missing keys are ignored.
+ * @property {() => Promise<string[]>} keys
+ *   Lists every stored key.
+ */
+
+/**
+ * Store backed by `.vexjs/_cache/`. It also holds the pages pre-rendered by
+ * `vex build`, whatever store is configured at runtime.
+ *
+ * @returns {CacheStore}
+ */
+export function createFileSystemStore() {
+  return {
+    async get(key) {
+      const { html, meta } = await getComponentHtmlDisk({ componentPath: key });
+      return html === null ? null : { html, meta };
+    },
+    async set(key, { html, meta }) {
+      await saveComponentHtmlDisk({ componentPath: key, html, meta });
+    },
+    async delete(key) {
+      await deleteComponentHtmlDisk({ componentPath: key });
+    },
+    keys: listComponentHtmlDisk,
+  };
+}
+
+/**
+ * In-process store that evicts the least recently used entry once it holds
+ * `maxEntries` pages. A `Map` keeps insertion order, so re-inserting an
+ * entry on every read moves it to the end and the first key is always the
+ * least recently used one.
+ *
+ * @param {{ maxEntries?: number }} [options]
+ * @returns {CacheStore}
+ */
+export function createMemoryStore({ maxEntries = 500 } = {}) {
+  /** @type {Map<string, CacheEntry>} */
+  const entries = new Map();
+
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return null;
+
+      entries.delete(key);
+      entries.set(key, entry);
+      return entry;
+    },
+    async set(key, entry) {
+      entries.delete(key);
+      entries.set(key, entry);
+
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+    async keys() {
+      return [...entries.keys()];
+    },
+  };
+}
+
+/**
+ * Imports a custom store module. Its default export may be the store itself
+ * or a (possibly async) factory receiving the `cache` settings.
+ *
+ * @param {string} modulePath - Absolute path of the store module.
+ * @returns {Promise<CacheStore>}
+ */
+async function loadCustomStore(modulePath) {
+  const mod = await import(pathToFileURL(modulePath).href);
+  const store = typeof mod.default === "function" ? await mod.default(CACHE_CONFIG) : mod.default;
+
+  const missing = ["get", "set", "delete", "keys"].filter((method) => typeof store?.[method] !== "function");
+  if (missing.length > 0) {
+    throw new Error(`Cache store ${modulePath} is missing: ${missing.join(", ")}`);
+  }
+
+  return store;
+}
+
+/**
+ * Wraps a store so misses fall back to the pages pre-rendered by `vex build`
+ * in `.vexjs/_cache/`, copying them into the store on first read.
+ *
+ * `keys()` lists the pre-rendered pages too, so scans over the cache
+ * (`revalidateTag()`, prefix revalidation, `vex cache ls`) reach pages no
+ * request has copied yet — marking one stale copies it in.
+ *
+ * @param {CacheStore} store
+ * @returns {CacheStore}
+ */
+function withBuildFallback(store) {
+  const buildStore = createFileSystemStore();
+
+  return {
+    ...store,
+    async get(key) {
+      const entry = await store.get(key);
+      if (entry) return entry;
+
+      const builtEntry = await buildStore.get(key);
+      if (builtEntry) await store.set(key, builtEntry);
+      return builtEntry;
+    },
+    async keys() {
+      const [keys, builtKeys] = await Promise.all([store.keys(), buildStore.keys()]);
+      return [...new Set([...keys, ...builtKeys])];
+    },
+  };
+}
+
+/**
+ * Creates the store selected in `CACHE_CONFIG`.
+ *
+ * @returns {Promise<CacheStore>}
+ */
+async function createConfiguredStore() {
+  switch (CACHE_CONFIG.store) {
+    case "fs":
+      return createFileSystemStore();
+    case "memory":
+      return withBuildFallback(createMemoryStore({ maxEntries: CACHE_CONFIG.maxEntries }));
+    case "redis":
+      return withBuildFallback(createRedisStore({ url: CACHE_CONFIG.url, prefix: CACHE_CONFIG.prefix }));
+    default:
+      return withBuildFallback(await loadCustomStore(CACHE_CONFIG.module));
+  }
+}
+
+/**
+ * Promise for the configured store, created once per process.
+ *
+ * @type {Promise<CacheStore> | null}
+ */
+let cacheStore = null;
+
+/**
+ * Returns the ISR cache store configured in vex.config.json.
+ *
+ * @returns {Promise<CacheStore>}
+ */
+export function getCacheStore() {
+  if (!cacheStore) {
+    cacheStore = createConfiguredStore();
+  }
+
+  return cacheStore;
+}
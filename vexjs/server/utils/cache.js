@@ -1,7 +1,13 @@
-import { getComponentHtmlDisk, markComponentHtmlStale, saveComponentHtmlDisk } from "./files.js";
+import { getCacheStore } from "./cache-store.js";
+import { revalidateDataTag } from "./data-cache.js";
+import { parsePageCacheKey } from "./cache-key.js";
 
 /**
- * Retrieves cached HTML for a component or page from disk and determines if it is stale.
+ * Retrieves cached HTML for a component or page from the configured cache
+ * store (see cache-store.js) and determines if it is stale.
+ *
+ * A store that fails (e.g. an unreachable cache server) is treated as a miss,
+ * so the page is rendered instead of the request failing.
  * 
  * This function supports Incremental Static Regeneration (ISR) semantics:
  * - If the cache does not exist, `html` will be null.
@@ -13,42 +19,84 @@ import { getComponentHtmlDisk, markComponentHtmlStale, saveComponentHtmlDisk } f
  * @param {number} [options.revalidateSeconds=0] - Number of seconds before the cached HTML is considered stale.
  *    - `-1` indicates the cache never becomes stale (always fresh).
  *    - `0` indicates the cache is always stale (regenerate on every request).
- * @returns {Promise<{ html: string|null, isStale: boolean }>} 
+ * @returns {Promise<{ html: string|null, isStale: boolean, headers: Record<string, string | string[]>, generatedAt: number }>} 
  *    - `html`: The cached HTML content, or null if not cached.
  *    - `isStale`: True if the cache is stale or explicitly invalidated, false otherwise.
+ *    - `headers`: Response headers set with `headers()` by the render that produced the HTML.
+ *    - `generatedAt`: Timestamp (ms) of the render, sent as `Last-Modified`.
  */
 export async function getCachedComponentHtml({ componentPath, revalidateSeconds = 0 }) {
-  const { html, meta } =  await getComponentHtmlDisk({ componentPath, revalidateSeconds });
+  let entry = null;
+  try {
+    const store = await getCacheStore();
+    entry = await store.get(componentPath);
+  } catch (error) {
+    console.error(`[ISR] Cache store read failed for ${componentPath}:`, error.message);
+  }
 
-  if (!html) {
+  if (!entry?.html) {
     return { html: null };
   }
 
-  let staleByTime = false;
-  if (revalidateSeconds !== -1) {
-    staleByTime = Date.now() - meta.generatedAt > revalidateSeconds * 1000;
-  }
+  const { html, meta } = entry;
+  const isStale = isCacheEntryStale(meta, revalidateSeconds);
+
+  return { html, isStale, headers: meta.headers ?? {}, generatedAt: meta.generatedAt };
+}
 
-  const isStale = meta.isStale === true || staleByTime;
+/**
+ * Tells whether a cache entry must be regenerated: it was marked stale
+ * (on-demand revalidation) or is older than `revalidateSeconds`.
+ *
+ * @param {{ generatedAt: number, isStale?: boolean }} meta - Entry metadata.
+ * @param {number} revalidateSeconds - `-1` never expires by time, `0` always does.
+ * @returns {boolean}
+ */
+export function isCacheEntryStale(meta, revalidateSeconds) {
+  if (meta.isStale === true) return true;
+  if (revalidateSeconds === -1) return false;
 
-  return { html, isStale };
+  return Date.now() - meta.generatedAt > revalidateSeconds * 1000;
 }
 
 /**
- * Stores HTML content of a component/page on disk along with metadata.
+ * Stores HTML content of a component/page in the cache store along with metadata.
  * 
  * Metadata includes:
  * - `generatedAt`: Timestamp of when the HTML was generated
  * - `isStale`: Indicates if the cache is stale (always false when saving)
+ * - `headers`: Response headers replayed on cache hits
+ * - `tags`: Cache tags matched by `revalidateTag()`
+ * - `variant`: Request values of the entry (`metadata.cacheKey`), or `null`
+ *
+ * Store failures are logged, not thrown — the response has usually been sent
+ * already and the page is simply rendered again on the next request.
  *
  * @async
  * @param {Object} options
- * @param {string} options.componentPath - Unique identifier or path of the component/page to cache.
+ * @param {string} options.componentPath - Cache key of the page: its pathname, plus its variant when the page sets `metadata.cacheKey`.
  * @param {string} options.html - The HTML content to store in the cache.
+ * @param {Record<string, string | string[]>} [options.headers={}] - Response headers replayed on cache hits.
+ * @param {string[]} [options.tags=[]] - Cache tags of the page (`metadata.tags`, `cacheTag()`).
  * @returns {Promise<void>} Resolves when the HTML and metadata have been successfully saved.
  */
-export async function saveCachedComponentHtml({ componentPath, html }) {
-  await saveComponentHtmlDisk({ componentPath, html });
+export async function saveCachedComponentHtml({ componentPath, html, headers = {}, tags = [] }) {
+  try {
+    const store = await getCacheStore();
+    await store.set(componentPath, {
+      html,
+      meta: {
+        generatedAt: Date.now(),
+        isStale: false,
+        path: componentPath,
+        variant: parsePageCacheKey(componentPath).variant,
+        headers,
+        tags,
+      },
+    });
+  } catch (error) {
+    console.error(`[ISR] Cache store write failed for ${componentPath}:`, error.message);
+  }
 }
 
 /**
@@ -58,10 +106,86 @@ export async function saveCachedComponentHtml({ componentPath, html }) {
  *
  * @async
  * @param {string} componentPath - Unique identifier or path of the component/page to invalidate.
- * @returns {Promise<void>} Resolves when the cache metadata has been updated.
+ * @returns {Promise<boolean>} `true` when the page was cached and is now stale.
  */
 export async function revalidateCachedComponentHtml(componentPath) {
-  await markComponentHtmlStale({ componentPath });
+  const store = await getCacheStore();
+  const entry = await store.get(componentPath);
+  if (!entry) return false;
+
+  await store.set(componentPath, { ...entry, meta: { ...entry.meta, isStale: true } });
+  return true;
+}
+
+/**
+ * Lists the cache keys of every cached page — its pathname, followed by the
+ * variant for pages with `metadata.cacheKey` (see cache-key.js).
+ *
+ * @async
+ * @returns {Promise<string[]>}
+ */
+export async function listCachedComponentPaths() {
+  const store = await getCacheStore();
+  return store.keys();
+}
+
+/**
+ * Marks every cached page tagged with `tag` as stale. Pages are tagged with
+ * `metadata.tags` or `cacheTag()` while they render.
+ *
+ * Every entry of the store is read, so the cost grows with the number of
+ * cached pages.
+ *
+ * @async
+ * @param {string} tag
+ * @returns {Promise<string[]>} Cache keys of the pages marked as stale.
+ */
+export async function revalidateCachedComponentTag(tag) {
+  const store = await getCacheStore();
+  const keys = await store.keys();
+  const revalidated = [];
+
+  await Promise.all(keys.map(async (key) => {
+    const entry = await store.get(key);
+    if (!entry?.meta?.tags?.includes(tag)) return;
+
+    await store.set(key, { ...entry, meta: { ...entry.meta, isStale: true } });
+    revalidated.push(key);
+  }));
+
+  return revalidated;
+}
+
+/**
+ * Invalidates everything tagged with `tag`: ISR pages are marked stale and
+ * regenerate on their next request, `withCache` entries are refetched on
+ * their next call.
+ *
+ * Available in every server script without importing (e.g. in an action
+ * after saving a record), and exported by `@cfdez11/vex/cache` for API routes.
+ *
+ * @async
+ * @param {string} tag
+ * @returns {Promise<{ pages: string[], data: number }>}
+ *   Cache keys of the pages marked stale and number of `withCache` entries invalidated.
+ *
+ * @example
+ * export const actions = {
+ *   async publish({ formData }) {
+ *     const article = await cms.publish(formData.get("id"));
+ *     await revalidateTag(`article:${article.id}`);
+ *   },
+ * };
+ */
+export async function revalidateTag(tag) {
+  if (typeof tag !== "string" || tag === "") {
+    throw new TypeError("revalidateTag() expects a non-empty string");
+  }
+
+  const data = revalidateDataTag(tag);
+  const pages = await revalidateCachedComponentTag(tag);
+
+  return { pages, data };
 }
 
 /**
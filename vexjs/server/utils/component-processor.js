@@ -2,11 +2,15 @@ import { watch } from "fs";
 import fs from "fs/promises";
 import path from "path";
 import esbuild from "esbuild";
-import { compileTemplateToHTML } from "./template.js";
-import { getOriginalRoutePath, getPageFiles, getRoutePath, saveClientComponentModule, saveClientRoutesFile, saveComponentHtmlDisk, saveServerRoutesFile, readFile, getImportData, generateComponentId, adjustClientModulePath, PAGES_DIR, ROOT_HTML_DIR, getLayoutPaths, SRC_DIR, WATCH_IGNORE, WATCH_IGNORE_FILES, CLIENT_COMPONENTS_DIR, USER_GENERATED_DIR } from "./files.js";
+import { compileTemplateToHTML, escapeHtml, safeHtml } from "./template.js";
+import { parseForExpression } from "./template-loops.js";
+import { pathToFileURL } from "url";
+import { getOriginalRoutePath, getPageFiles, getRoutePath, saveClientComponentModule, saveClientRoutesFile, saveComponentHtmlDisk, saveServerRoutesFile, readFile, getImportData, generateComponentId, adjustClientModulePath, PAGES_DIR, ROOT_HTML_DIR, getLayoutPaths, SRC_DIR, WATCH_IGNORE, WATCH_IGNORE_FILES, CLIENT_COMPONENTS_DIR, USER_GENERATED_DIR, PROJECT_ROOT, API_ROUTE_FILE, API_ROUTE_METHODS, isServerOnlyFile, compareRoutePaths, getRoutePattern, NOT_FOUND_PAGE, TEMPLATE_CONFIG } from "./files.js";
 import { renderComponents } from "./streaming.js";
-import { getRevalidateSeconds } from "./cache.js";
+import { getRevalidateSeconds, revalidateTag } from "./cache.js";
+import { parseCacheKey } from "./cache-key.js";
 import { withCache } from "./data-cache.js";
+import { cookies, headers, setStatus, cacheTag, getPendingHeaders, getPendingTags, runWithResponseState, getCurrentRequest } from "./request-context.js";
 import { createVexAliasPlugin } from "./esbuild-plugin.js";
 
 /**
@@ -25,12 +29,60 @@ import { createVexAliasPlugin } from "./esbuild-plugin.js";
  *   return { city: req.params.city };
  * }
  */
-function redirect(redirectPath, statusCode = 302) {
+export function redirect(redirectPath, statusCode = 302) {
   const err = new Error("REDIRECT");
   err.redirect = { path: redirectPath, statusCode };
   throw err;
 }
 
+/**
+ * Throws a structured not-found error that propagates out of getData and is
+ * caught by the router, which renders the nearest `not-found/page.vex` with
+ * status 404.
+ *
+ * Available automatically inside every <script server> block — no import needed.
+ *
+ * @throws {Error} Always throws — use inside getData to abort rendering.
+ *
+ * @example
+ * async function getData({ req }) {
+ *   const post = await db.posts.find(req.params.id);
+ *   if (!post) notFound();
+ *   return { post };
+ * }
+ */
+export function notFound() {
+  const err = new Error("NOT_FOUND");
+  err.notFound = true;
+  throw err;
+}
+
+/**
+ * Throws a structured validation error from a page action. The router
+ * catches it and re-renders the page with `action.errors` set to `errors`
+ * and the given HTTP status.
+ *
+ * Available automatically inside every <script server> block — no import needed.
+ *
+ * @param {Record<string, any>} errors - Validation errors, usually keyed by field name.
+ * @param {number} [statusCode=422] - HTTP status of the re-rendered page.
+ * @throws {Error} Always throws — use inside an action to reject the submission.
+ *
+ * @example
+ * const actions = {
+ *   async createComment({ formData }) {
+ *     const text = formData.get("text");
+ *     if (!text) fail({ text: "Comment cannot be empty" });
+ *     return { comment: await db.comments.create({ text }) };
+ *   },
+ * };
+ */
+export function fail(errors, statusCode = 422) {
+  const err = new Error("ACTION_FAILED");
+  err.actionFailure = { errors, statusCode };
+  throw err;
+}
+
 /**
  * In-memory cache for parsed `.html` component files.
  *
@@ -67,6 +119,11 @@ const processHtmlFileCache = new Map();
  */
 let rootTemplate = await readFile(ROOT_HTML_DIR);
 
+/**
+ * HMR event bus, dev only — hmr.js is never loaded in production.
+ */
+const hmr = process.env.NODE_ENV !== "production" ? await import("./hmr.js") : null;
+
 /**
  * In dev only: watch pages/, components/ and root.html for .html changes.
  *
@@ -79,9 +136,8 @@ let rootTemplate = await readFile(ROOT_HTML_DIR);
  *  - files are immutable after deploy, so invalidation is never needed
  *  - `fs.watch` keeps the Node process alive and consumes inotify/kqueue handles
  */
-if (process.env.NODE_ENV !== "production") {
-  // Lazy import — hmr.js is never loaded in production
-  const { hmrEmitter } = await import("./hmr.js");
+if (hmr) {
+  const { hmrEmitter } = hmr;
 
   // Watch SRC_DIR (configured via vex.config.json `srcDir`, defaults to project root).
   // Skip any path segment that appears in WATCH_IGNORE to avoid reacting to
@@ -112,6 +168,9 @@ if (process.env.NODE_ENV !== "production") {
       } else if (filename.endsWith(".js")) {
         // Rebuild the changed user JS file so npm imports are re-bundled.
         const fullPath = path.join(SRC_DIR, filename);
+        // Route handlers, middlewares and the auth module are server-only — `node --watch`
+        // restarts the process when they change, there is no browser bundle to refresh.
+        if (isServerOnlyFile(fullPath)) return;
         try {
           await buildUserFile(fullPath);
         } catch (e) {
@@ -224,6 +283,57 @@ const getScriptImports = async (script, isClientSide = false, filePath = null) =
   return { imports, componentRegistry, clientImports };
 };
 
+/**
+ * Index of the `</tag>` closing the element whose content starts at `from`,
+ * skipping nested elements with the same name; `-1` if unclosed.
+ *
+ * @param {string} source
+ * @param {string} tag
+ * @param {number} from
+ * @returns {number}
+ */
+function findClosingTag(source, tag, from) {
+  const tagRegex = new RegExp(`<(/?)${tag}(?=[\\s/>])[^>]*?(/?)>`, "g");
+  tagRegex.lastIndex = from;
+  let depth = 1;
+  let match;
+  while ((match = tagRegex.exec(source)) !== null) {
+    if (match[1]) {
+      if (--depth === 0) return match.index;
+    } else if (!match[2]) {
+      depth++;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Locates the top-level `<template>` block of a .vex file. Nested
+ * `<template x-if>` / `<template x-for>` fragments are part of it.
+ *
+ * Script blocks are blanked out first (keeping offsets) so markup in their
+ * code — e.g. an html`<template x-if="...">` string — is not taken for the
+ * block's tags.
+ *
+ * @param {string} content - .vex file source.
+ * @returns {{ start: number, content: string } | null} Offset where the
+ *   block's content starts, and the content.
+ */
+function getTemplateBlock(content) {
+  const masked = content.replace(
+    /<script\b[^>]*>[\s\S]*?<\/script>/g,
+    (block) => " ".repeat(block.length)
+  );
+  const opening = masked.indexOf("<template>");
+  if (opening === -1) return null;
+
+  const start = opening + "<template>".length;
+  const end = findClosingTag(masked, "template", start);
+  if (end === -1) return null;
+
+  return { start, content: content.slice(start, end) };
+}
+
 /**
  * Raw implementation of the file parser — called only when the cache misses.
  * Do not call directly; use the exported `processHtmlFile` wrapper instead.
@@ -245,7 +355,10 @@ const getScriptImports = async (script, isClientSide = false, filePath = null) =
  *   getStaticPaths: (() => Promise<Array<{ params: Record<string, string | number> }>>) | null,
  *   getData: (() => Promise<any>) | null,
  *   getMetadata: (() => Promise<any>) | null,
+ *   metadata: object | null,
+ *   actions: Record<string, (args: { req: any, res: any, formData: FormData, context: object }) => Promise<any>> | null,
  *   template: string,
+ *   templateLine: number,
  *   clientCode: string,
  *   clientImports: Record<string, {
  *     fileUrl: string,
@@ -269,9 +382,15 @@ async function _processHtmlFile(filePath) {
 
   const serverMatch = content.match(/<script server>([\s\S]*?)<\/script>/);
   const clientMatch = content.match(/<script client>([\s\S]*?)<\/script>/);
-  const templateMatch = content.match(/<template>([\s\S]*?)<\/template>/);
-
-  const template = templateMatch ? templateMatch[1].trim() : "";
+  const templateBlock = getTemplateBlock(content);
+
+  const template = templateBlock ? templateBlock.content.trim() : "";
+  // Line of the .vex file where the trimmed template starts, for error reports
+  const templateLine = templateBlock
+    ? content
+        .slice(0, templateBlock.start + templateBlock.content.search(/\S|$/))
+        .split("\n").length
+    : 1;
   const clientCode = clientMatch ? clientMatch[1].trim() : "";
   let serverComponents = new Map();
   let clientComponents = new Map();
@@ -280,6 +399,8 @@ async function _processHtmlFile(filePath) {
   let getData = null;
   let getStaticPaths = null;
   let getMetadata = null;
+  let metadata = null;
+  let actions = null;
 
   if (serverMatch) {
     const scriptContent = serverMatch[1];
@@ -304,27 +425,57 @@ async function _processHtmlFile(filePath) {
       const AsyncFunction = Object.getPrototypeOf(
         async function () { }
       ).constructor;
-      // `redirect` and `withCache` are the first two params so they are in
-      // scope for the script closure — including inside getData.
+      // The injected helpers are the first params so they are in scope for
+      // the script closure — including inside getData. The script runs in an
+      // inner function: its own declarations (`const headers = ...`) shadow
+      // the helpers instead of colliding with the params.
       const fn = new AsyncFunction(
         "redirect",
+        "notFound",
+        "fail",
         "withCache",
+        "cookies",
+        "headers",
+        "setStatus",
+        "cacheTag",
+        "revalidateTag",
         ...Object.keys(imports),
         `
+        return (async () => {
         ${cleanedScript}
         ${!cleanedScript.includes("getData") ? "const getData = null;" : ""}
         ${!cleanedScript.includes("const metadata = ") ? "const metadata = null;" : ""}
         ${!cleanedScript.includes("getMetadata") ? "const getMetadata = null;" : ""}
         ${!cleanedScript.includes("getStaticPaths") ? "const getStaticPaths = null;" : ""}
-        return { getData, metadata, getMetadata, getStaticPaths };
+        return {
+          getData,
+          metadata,
+          getMetadata,
+          getStaticPaths,
+          actions: typeof actions !== "undefined" ? actions : null,
+        };
+        })();
       `
       );
 
       try {
-        const result = await fn(redirect, withCache, ...Object.values(imports));
+        const result = await fn(
+          redirect,
+          notFound,
+          fail,
+          withCache,
+          cookies,
+          headers,
+          setStatus,
+          cacheTag,
+          revalidateTag,
+          ...Object.values(imports)
+        );
         getData = result.getData;
         getStaticPaths = result.getStaticPaths;
         getMetadata = result.metadata ? () => result.metadata : result.getMetadata;
+        metadata = result.metadata;
+        actions = result.actions;
       } catch (error) {
         console.error(`Error executing script in ${filePath}:`, error.message);
       }
@@ -341,7 +492,10 @@ async function _processHtmlFile(filePath) {
     getStaticPaths,
     getData,
     getMetadata,
+    metadata,
+    actions,
     template,
+    templateLine,
     clientCode,
     serverComponents,
     clientComponents,
@@ -367,6 +521,30 @@ export async function processHtmlFile(filePath) {
   return result;
 }
 
+/**
+ * `onError` of every template render: called when an expression throws.
+ *
+ * - Dev: the page still renders (the expression as `""`); the error is
+ *   logged with its file, line and expression and shown in the browser
+ *   overlay through the HMR channel.
+ * - Production: ignored, unless `templates.strict` is set in
+ *   vex.config.json — then it is rethrown, failing the render so the router
+ *   sends the error page.
+ *
+ * @param {Error & { templateError: object }} error
+ */
+function handleTemplateError(error) {
+  if (!hmr) {
+    if (TEMPLATE_CONFIG.strict) throw error;
+    return;
+  }
+
+  const url = getCurrentRequest()?.originalUrl ?? null;
+  if (hmr.reportTemplateError(url, error)) {
+    console.error(`[vex] Template error — ${error.message}`);
+  }
+}
+
 /**
  * Renders an HTML file using server-side data and metadata hooks.
  *
@@ -400,7 +578,9 @@ export async function renderHtmlFile(filePath, context = {}, extraComponentData
   const {
     getData,
     getMetadata,
+    actions,
     template,
+    templateLine,
     clientCode,
     serverComponents,
     clientComponents,
@@ -409,7 +589,14 @@ export async function renderHtmlFile(filePath, context = {}, extraComponentData
 
   const componentData = getData ? await getData(context) : {};
   const metadata = getMetadata ? await getMetadata({ req: context.req, props: componentData }) : null;
-  const html = compileTemplateToHTML(template, { ...componentData, ...extraComponentData });
+  // `action` is in scope on every render of a page with actions — `null`
+  // until a form is submitted — so `x-if="action && …"` never throws.
+  const defaultData = actions ? { action: null } : {};
+  const html = compileTemplateToHTML(template, { ...defaultData, ...componentData, ...extraComponentData }, {
+    file: path.relative(PROJECT_ROOT, filePath),
+    line: templateLine,
+    onError: handleTemplateError,
+  });
 
   return { html, metadata, clientCode, serverComponents, clientComponents, clientImports };
 }
@@ -467,6 +654,35 @@ function generateClientScriptTags({
   return scripts.trim();
 }
 
+/**
+ * `Link` header values announcing the scripts a page loads: the framework
+ * runtime injected by `renderLayouts`, and the bundles of the client
+ * components imported by the page and its layouts. Sent as `103 Early Hints`
+ * so the browser downloads them while the server is still rendering.
+ *
+ * @param {string} pagePath
+ * @returns {Promise<string[]>}
+ */
+export async function getPagePreloadLinks(pagePath) {
+  const layoutPaths = await getLayoutPaths(pagePath);
+  const files = await Promise.all([...layoutPaths, pagePath].map(processHtmlFile));
+
+  const componentBundles = new Set(
+    files.flatMap(({ clientComponents }) =>
+      [...clientComponents.values()].map(({ path: componentPath }) =>
+        `/_vexjs/_components/${generateComponentId(componentPath)}.js`
+      )
+    )
+  );
+
+  return [
+    "</_vexjs/services/index.js>; rel=modulepreload",
+    "</_vexjs/services/hydrate-client-components.js>; rel=preload; as=script",
+    "</_vexjs/services/hydrate.js>; rel=preload; as=script",
+    ...[...componentBundles].map((url) => `<${url}>; rel=modulepreload`),
+  ];
+}
+
 /**
  * Renders a page with server and client components.
  * @param {string} pagePath 
@@ -487,7 +703,7 @@ function generateClientScriptTags({
  *  clientComponentsScripts: string[],
  * }>
  */
-async function renderPage(pagePath, ctx, awaitSuspenseComponents = false, extraComponentData = {}) {
+export async function renderPage(pagePath, ctx, awaitSuspenseComponents = false, extraComponentData = {}) {
   const {
     html,
     metadata,
@@ -497,6 +713,9 @@ async function renderPage(pagePath, ctx, awaitSuspenseComponents = false, extraC
     clientComponents,
   } = await renderHtmlFile(pagePath, ctx, extraComponentData);
 
+  // `metadata.tags` is shorthand for calling cacheTag() in getData.
+  if (metadata?.tags) cacheTag(metadata.tags);
+
   const {
     html: htmlWithComponents,
     suspenseComponents,
@@ -533,20 +752,23 @@ async function renderLayouts(pagePath, pageContent, pageHead = {}) {
   let currentContent = pageContent;
   let deepMetadata = pageHead.metadata || {};
 
-  // Render layouts from innermost to outermost
+  // Render layouts from innermost to outermost. The content is already
+  // rendered (and escaped) markup, so `{{props.children}}` inserts it as-is.
   for (let i = layoutPaths.length - 1; i >= 0; i--) {
     const layoutPath = layoutPaths[i];
     
     try {
       const { html, metadata } = await renderPage(layoutPath, {}, false, {
         props: {
-          children: currentContent
+          children: safeHtml(currentContent)
         }
       });
       
       deepMetadata = { ...deepMetadata, ...metadata };
       currentContent = html;
     } catch (error) {
+      // templates.strict: a failing layout expression fails the page
+      if (error.templateError) throw error;
       console.warn(`Error rendering ${layoutPath}, skipping`);
       continue;
     }
@@ -558,8 +780,11 @@ async function renderLayouts(pagePath, pageContent, pageHead = {}) {
     ...restPageHead,
     metadata: deepMetadata,
     props: {
-      children: currentContent
+      children: safeHtml(currentContent)
     }
+  }, {
+    file: path.relative(PROJECT_ROOT, ROOT_HTML_DIR),
+    onError: handleTemplateError,
   });
 
   // Inject framework internals + page client scripts before </head>
@@ -600,6 +825,9 @@ async function renderLayouts(pagePath, pageContent, pageHead = {}) {
  * @param {boolean} [awaitSuspenseComponents=false]
  * Whether suspense components should be rendered immediately.
  *
+ * @param {object} [extraComponentData={}]
+ * Additional data to pass to the page template.
+ *
  * @returns {Promise<{
  *   html: string,
  *   pageHtml: string,
@@ -609,7 +837,7 @@ async function renderLayouts(pagePath, pageContent, pageHead = {}) {
  *   clientComponents: Map<string, any>
  * }>}
  */
-export async function renderPageWithLayout(pagePath, ctx = {}, awaitSuspenseComponents = false) {
+export async function renderPageWithLayout(pagePath, ctx = {}, awaitSuspenseComponents = false, extraComponentData = {}) {
   const {
     html: pageHtml,
     metadata,
@@ -619,7 +847,7 @@ export async function renderPageWithLayout(pagePath, ctx = {}, awaitSuspenseComp
     clientComponents,
     suspenseComponents,
     clientComponentsScripts,
-  } = await renderPage(pagePath, ctx, awaitSuspenseComponents);
+  } = await renderPage(pagePath, ctx, awaitSuspenseComponents, extraComponentData);
 
 
   // Wrap in layout
@@ -645,11 +873,99 @@ export async function renderPageWithLayout(pagePath, ctx = {}, awaitSuspenseComp
   };
 }
 
+/**
+ * Renders an `error.vex` boundary for an error thrown below it.
+ *
+ * The boundary's `getData` receives the request context merged with the
+ * error fields (same contract as `pages/error/page.vex`). A boundary without
+ * `getData` gets them as `error` in its template.
+ *
+ * @async
+ * @param {string} boundaryPath
+ * Absolute path to the error.vex file.
+ *
+ * @param {{
+ *   req: import("http").IncomingMessage,
+ *   res: import("http").ServerResponse,
+ *   [key: string]: any
+ * }} ctx
+ *
+ * @param {{ message: string, code: number, details: string, path: string, stack?: string }} error
+ *
+ * @param {boolean} [withLayouts=true]
+ * Wrap the boundary in the layouts at and above its folder (full document),
+ * or render its markup alone — used when the page shell was already streamed.
+ *
+ * @returns {Promise<string>}
+ */
+export async function renderErrorBoundary(boundaryPath, ctx, error, withLayouts = true) {
+  const { getData } = await processHtmlFile(boundaryPath);
+  const boundaryCtx = { ...ctx, ...error };
+  const extraComponentData = getData ? {} : { error };
+
+  const { html } = withLayouts
+    ? await renderPageWithLayout(boundaryPath, boundaryCtx, true, extraComponentData)
+    : await renderPage(boundaryPath, boundaryCtx, true, extraComponentData);
+
+  return html;
+}
+
+/**
+ * Renders the document shell of a page whose content is streamed later:
+ * layouts, head and client scripts, with the page's `loading.vex` in place
+ * of the page markup.
+ *
+ * The head is sent before `getData` resolves, so only the page's static
+ * `metadata` is used — `getMetadata` cannot depend on data here.
+ *
+ * @async
+ * @param {string} pagePath
+ * Absolute path to the page file.
+ *
+ * @param {string} loadingBoundaryPath
+ * Absolute path to the loading.vex file.
+ *
+ * @param {{
+ *   req: import("http").IncomingMessage,
+ *   res: import("http").ServerResponse,
+ *   [key: string]: any
+ * }} ctx
+ *
+ * @returns {Promise<{ html: string, boundaryId: string }>}
+ * `boundaryId` is the id of the element wrapping the loading markup, to be
+ * replaced with the page content once rendered.
+ */
+export async function renderLoadingShell(pagePath, loadingBoundaryPath, ctx) {
+  const boundaryId = "vex-loading";
+
+  const [
+    { metadata, clientCode, clientImports, clientComponents },
+    { html: loadingHtml },
+  ] = await Promise.all([
+    processHtmlFile(pagePath),
+    renderPage(loadingBoundaryPath, ctx, true),
+  ]);
+
+  const clientScripts = generateClientScriptTags({
+    clientCode,
+    clientImports,
+    clientComponents,
+  });
+
+  const html = await renderLayouts(pagePath, `<div id="${boundaryId}">${loadingHtml}</div>`, {
+    clientScripts,
+    metadata: { ...DEFAULT_METADATA, ...metadata },
+  });
+
+  return { html, boundaryId };
+}
+
 /**
  * Converts a Vue-like template syntax into an `html`` tagged template.
  *
  * Supports:
- * - v-for, v-if, v-else-if, v-else, v-show
+ * - x-for (`item in items`, `(value, key, index) in source`, `n in 10`),
+ *   x-if, x-else-if, x-else, x-show
  * - Reactive `.value` auto-detection
  * - Property & event bindings
  *
@@ -686,31 +1002,67 @@ function convertVueToHtmlTagged(template, clientCode = "") {
 
   let result = template.trim();
 
-  // Self-closing x-for="item in items" → ${items.value.map(item => html`<Component ... />`)}
-  result = result.replace(
-    /<([\w-]+)([^>]*)\s+x-for="(\w+)\s+in\s+([^"]+)(?:\.value)?"([^>]*)\/>/g,
-    (_, tag, beforeAttrs, iterVar, arrayVar, afterAttrs) => {
-      const cleanExpr = arrayVar.trim();
-      const isSimpleVar = /^\w+$/.test(cleanExpr);
-      const arrayAccess = isSimpleVar && reactiveVars.has(cleanExpr)
-        ? `${cleanExpr}.value`
-        : cleanExpr;
-      return `\${${arrayAccess}.map(${iterVar} => html\`<${tag}${beforeAttrs}${afterAttrs} />\`)}`;
-    }
-  );
+  /**
+   * `x-for` source → `renderList(...)` call opening, or `null` when the
+   * expression is not a valid `x-for` (the element is left untouched).
+   * Iteration matches the server: see `template-loops.js`.
+   */
+  const openRenderList = (forExpression) => {
+    const loop = parseForExpression(forExpression);
+    if (!loop) return null;
+    const cleanExpr = loop.source.trim();
+    const isSimpleVar = /^\w+$/.test(cleanExpr);
+    const sourceAccess = isSimpleVar && reactiveVars.has(cleanExpr)
+      ? `${cleanExpr}.value`
+      : cleanExpr;
+    return `renderList(${sourceAccess}, (${loop.aliases.join(", ")}) =>`;
+  };
+
+  /**
+   * x-for="(item, index) in items" → <!--${renderList(items.value, (item, index) => html`...`)}-->
+   *
+   * A `<template x-for>` renders its content alone. Nested loops are
+   * converted too. The list goes in a comment marker: text between table
+   * rows would be moved out of the table by the browser parser, comments
+   * are not.
+   */
+  const convertLoops = (source) => {
+    const openingRegex = /<([\w-]+)([^>]*?)\s+x-for="([^"]+)"([^>]*?)(\/?)>/g;
+    let output = "";
+    let position = 0;
+    let match;
+
+    while ((match = openingRegex.exec(source)) !== null) {
+      const [openingTag, tag, beforeAttrs, forExpression, afterAttrs, selfClosing] = match;
+      const opening = openRenderList(forExpression);
+      if (!opening) continue;
+
+      let end = match.index + openingTag.length;
+      let body = `<${tag}${beforeAttrs}${afterAttrs} />`;
+      if (!selfClosing) {
+        const closingIndex = findClosingTag(source, tag, end);
+        if (closingIndex === -1) continue;
+        const content = convertLoops(source.slice(end, closingIndex));
+        body = tag === "template"
+          ? content
+          : `<${tag}${beforeAttrs}${afterAttrs}>${content}</${tag}>`;
+        end = closingIndex + `</${tag}>`.length;
+      }
 
-  // x-for="item in items" → ${items.value.map(item => html`...`)}
-  result = result.replace(
-    /<([\w-]+)([^>]*)\s+x-for="(\w+)\s+in\s+([^"]+)(?:\.value)?"([^>]*)>([\s\S]*?)<\/\1>/g,
-    (_, tag, beforeAttrs, iterVar, arrayVar, afterAttrs, content) => {
-      const cleanExpr = arrayVar.trim();
-      const isSimpleVar = /^\w+$/.test(cleanExpr);
-      const arrayAccess = isSimpleVar && reactiveVars.has(cleanExpr)
-        ? `${cleanExpr}.value`
-        : cleanExpr;
-      return `\${${arrayAccess}.map(${iterVar} => html\`<${tag}${beforeAttrs}${afterAttrs}>${content}</${tag}>\`)}`;
+      output += source.slice(position, match.index) + `<!--\${${opening} html\`${body}\`)}-->`;
+      position = end;
+      openingRegex.lastIndex = end;
     }
-  );
+
+    return output + source.slice(position);
+  };
+
+  result = convertLoops(result);
+
+  // x-html="expr" → x-html="${expr.value}" (content set unescaped by html.js)
+  result = result.replace(/x-html="([^"]+)"/g, (_, expr) => {
+    return `x-html="\${${processExpression(expr.trim())}}"`;
+  });
 
   // x-show="condition" → x-show="${condition.value}" (add .value for reactive vars)
   result = result.replace(/x-show="([^"]+)"/g, (_, condition) => {
@@ -831,6 +1183,11 @@ export async function generateClientComponentModule({
   const hasHtml = [...importLines].some((l) => /\bhtml\b/.test(l));
   if (!hasEffect) importLines.add("import { effect } from 'vex/reactive';");
   if (!hasHtml) importLines.add("import { html } from 'vex/html';");
+  // `renderList` is only needed by templates with an x-for.
+  const usesRenderList = /\brenderList\(/.test(processedHtml);
+  if (usesRenderList && ![...importLines].some((l) => /\brenderList\b/.test(l))) {
+    importLines.add("import { renderList } from 'vex/html';");
+  }
 
   // ── 5. Assemble the esbuild entry source ────────────────────────────────────
   // This is a valid ESM module that esbuild will bundle. Imports at the top,
@@ -889,21 +1246,136 @@ export function hydrateClientComponent(marker, incomingProps = {}) {
   return null;
 }
 
+/**
+ * Values of `metadata.fallback`, which decides how a dynamic page answers
+ * params that `getStaticPaths` did not return:
+ *   - `"blocking"`    Rendered on the server on first request, then cached
+ *                     (as SSG when the page sets no `revalidate`).
+ *   - `"static-only"` Answered with the nearest not-found page (404).
+ * Without `fallback` unknown params keep the default behaviour: rendered
+ * like any other request to the page.
+ */
+const FALLBACK_MODES = ["blocking", "static-only"];
+
+/**
+ * Reads and validates `metadata.fallback`.
+ *
+ * @param {object | null} metadata
+ * @param {string} filePath - Page file, for the error message.
+ * @returns {"blocking" | "static-only" | null}
+ * @throws {Error} When the value is not one of FALLBACK_MODES.
+ */
+function getPageFallback(metadata, filePath) {
+  const fallback = metadata?.fallback;
+  if (fallback === undefined || fallback === null) return null;
+
+  if (!FALLBACK_MODES.includes(fallback)) {
+    throw new Error(
+      `Invalid metadata.fallback ${JSON.stringify(fallback)} in ${path.relative(PROJECT_ROOT, filePath)}` +
+      ` — expected ${FALLBACK_MODES.map((mode) => `"${mode}"`).join(" or ")}`
+    );
+  }
+
+  return fallback;
+}
+
+/**
+ * Values of `metadata.suspenseCache`, which decides what the ISR cache keeps
+ * of a page whose Suspense boundaries were streamed:
+ *   - `"resolved"` (default) The markup with every boundary swapped in, so
+ *                  cache hits are plain HTML.
+ *   - `"stream"`   The document as streamed — fallbacks followed by the
+ *                  replacement payloads — so cache hits replay the swap.
+ */
+const SUSPENSE_CACHE_MODES = ["resolved", "stream"];
+
+/**
+ * Validates `metadata.suspenseCache`.
+ *
+ * @param {object | null} metadata
+ * @param {string} filePath - Page file, for the error message.
+ * @throws {Error} When the value is not one of SUSPENSE_CACHE_MODES.
+ */
+function validateSuspenseCache(metadata, filePath) {
+  const suspenseCache = metadata?.suspenseCache;
+  if (suspenseCache === undefined || SUSPENSE_CACHE_MODES.includes(suspenseCache)) return;
+
+  throw new Error(
+    `Invalid metadata.suspenseCache ${JSON.stringify(suspenseCache)} in ${path.relative(PROJECT_ROOT, filePath)}` +
+    ` — expected ${SUSPENSE_CACHE_MODES.map((mode) => `"${mode}"`).join(" or ")}`
+  );
+}
+
+/**
+ * Resolves the revalidation setting a page is cached with. `"blocking"`
+ * pages without `revalidate` are cached as SSG, so params rendered on
+ * demand are kept like the pre-rendered ones.
+ *
+ * @param {object | null} metadata
+ * @returns {number | string | boolean}
+ */
+function getPageRevalidate(metadata) {
+  if (metadata?.revalidate !== undefined) return metadata.revalidate;
+  return metadata?.fallback === "blocking" ? "never" : 0;
+}
+
+/**
+ * Tells whether a page is only ever rendered on demand: a `"blocking"` page
+ * with `getData` and no static paths has no pre-rendered data a client
+ * component could be built from, so it always renders on the server.
+ *
+ * @param {"blocking" | "static-only" | null} fallback
+ * @param {Array<object>} paths - Result of `getStaticPaths`.
+ * @param {boolean} hasGetData
+ * @returns {boolean}
+ */
+function isOnDemandOnly(fallback, paths, hasGetData) {
+  return fallback === "blocking" && paths.length === 0 && hasGetData;
+}
+
 /**
  * Determines if a page can be fully client-side rendered (CSR)
+ *
+ * Pages with actions are always server-rendered: the result of a form
+ * submission is only known to the server render that follows it.
+ *
  * @param {number | string} revalidate 
  * @param {boolean} hasServerComponents 
  * @param {boolean} hasGetData
+ * @param {boolean} [hasActions=false]
  * @returns 
  */
-function getIfPageCanCSR(revalidate, hasServerComponents, hasGetData) {
+function getIfPageCanCSR(revalidate, hasServerComponents, hasGetData, hasActions = false) {
   const revalidateSeconds = getRevalidateSeconds(revalidate ?? 0);
   const neverRevalidate = revalidateSeconds === -1;
-  const canCSR = !hasServerComponents && (neverRevalidate || !hasGetData);
+  const canCSR = !hasActions && !hasServerComponents && (neverRevalidate || !hasGetData);
 
   return canCSR;
 }
 
+/**
+ * Pre-renders a page at build time in its own response state, so the
+ * headers it sets with `headers()` are stored with its ISR entry and sent on
+ * cache hits, along with its cache tags. Cookies and status set at build
+ * time are discarded.
+ *
+ * @param {string} pagePath
+ * @param {object} context
+ * @returns {Promise<{
+ *   html: string,
+ *   pageHtml: string,
+ *   metadata: object,
+ *   headers: Record<string, string | string[]>,
+ *   tags: string[],
+ * }>}
+ */
+function prerenderPage(pagePath, context) {
+  return runWithResponseState(null, async () => {
+    const rendered = await renderPageWithLayout(pagePath, context, true);
+    return { ...rendered, headers: getPendingHeaders(), tags: getPendingTags() };
+  });
+}
+
 /**
  * Generates static HTML for a server component.
  *
@@ -930,17 +1402,22 @@ async function generateServerComponentHTML(componentPath) {
     getData,
     getMetadata,
     serverComponents,
+    actions,
+    // Superseded by the getMetadata() result below
+    metadata: _staticMetadata,
     ...restProcessHtmlFile
   } = await processHtmlFile(componentPath);
 
   const metadata = getMetadata ? await getMetadata({ req: { params: {} }, props: {} }) : null;
+  const fallback = getPageFallback(metadata, componentPath);
+  const paths = getStaticPaths ? await getStaticPaths() : [];
+
   const canCSR = getIfPageCanCSR(
-    metadata?.revalidate,
+    getPageRevalidate(metadata),
     serverComponents.size > 0,
-    typeof getData === "function"
-  );
-
-  const paths = getStaticPaths ? await getStaticPaths() : [];
+    typeof getData === "function",
+    Boolean(actions)
+  ) && !isOnDemandOnly(fallback, paths, typeof getData === "function");
 
   const result = {
     htmls: [],
@@ -959,25 +1436,30 @@ async function generateServerComponentHTML(componentPath) {
     return result;
   }
 
-  // If no static paths and getData exists, render once with empty params
-  if (paths.length === 0 && !!getData) {
+  // If no static paths and getData exists, render once with empty params.
+  // A dynamic route with `metadata.fallback` has nothing to render without
+  // params — it is rendered on demand.
+  const isOnDemandRoute = fallback !== null && /[:*]/.test(getRoutePath(componentPath));
+  if (paths.length === 0 && !!getData && !isOnDemandRoute) {
     const {
       html,
       pageHtml,
       metadata: pageMetadata,
+      headers,
+      tags,
     } =
-      await renderPageWithLayout(componentPath, {}, true);
+      await prerenderPage(componentPath, {});
 
-    result.htmls.push({ params: {}, html, pageHtml, metadata: pageMetadata });
+    result.htmls.push({ params: {}, html, pageHtml, metadata: pageMetadata, headers, tags });
 
     return result;
   }
 
   for (const path of paths) {
-    const { html, pageHtml, metadata } =
-      await renderPageWithLayout(componentPath, { req: path }, true);
+    const { html, pageHtml, metadata, headers, tags } =
+      await prerenderPage(componentPath, { req: path });
 
-    result.htmls.push({ params: path.params, html, pageHtml, metadata });
+    result.htmls.push({ params: path.params, html, pageHtml, metadata, headers, tags });
   }
 
   return result;
@@ -1009,7 +1491,10 @@ export async function processClientComponent(componentName, componentAbsPath, pr
   // generateComponentAndFillCache (which also calls generateComponentId with the abs path).
   const componentImport = generateComponentId(componentAbsPath);
   const propsJson = serializeClientComponentProps(props);
-  const html = `<template id="${targetId}" data-client:component="${componentImport}" data-client:props='${propsJson}'></template>`;
+  // Static props are escaped — a quote in a string prop must not end the
+  // attribute. Runtime expressions (`${…}`) are code, evaluated on the client.
+  const propsAttribute = isTemplateExpression(propsJson) ? propsJson : escapeHtml(propsJson);
+  const html = `<template id="${targetId}" data-client:component="${componentImport}" data-client:props='${propsAttribute}'></template>`;
   
   return html;
 }
@@ -1140,16 +1625,10 @@ function addComputedProps(clientCode, componentProps) {
 }
 
 async function getMetadataAndStaticPaths(getMetadata, getStaticPaths) {
-  const promises = [];
-
-  if (getMetadata) {
-    promises.push(getMetadata({ req: { params: {} }, props: {} }));
-  }
-  if (getStaticPaths) {
-    promises.push(getStaticPaths());
-  }
-
-  const [metadata, paths] = await Promise.all(promises);
+  const [metadata, paths] = await Promise.all([
+    getMetadata ? getMetadata({ req: { params: {} }, props: {} }) : null,
+    getStaticPaths ? getStaticPaths() : null,
+  ]);
 
   return {
     metadata: metadata || DEFAULT_METADATA,
@@ -1163,23 +1642,46 @@ async function getMetadataAndStaticPaths(getMetadata, getStaticPaths) {
  * This function takes a route that may contain multiple parameters in the `:param` format
  * and replaces them with the corresponding values from the `params` object.
  *
+ * Catch-all parameters (`*param`, `{/*param}`) take an array of segments — a
+ * plain string is used as-is. Optional catch-alls may be omitted or empty.
+ *
  * @example
  * // Route with multiple parameters
  * fillRoute("/user/:userId/post/:postId", { userId: 123, postId: 456 });
  * // Returns: "/user/123/post/456"
  *
+ * @example
+ * // Catch-all route
+ * fillRoute("/docs/*slug", { slug: ["guides", "routing"] });
+ * // Returns: "/docs/guides/routing"
+ *
  * @param {string} route - The route containing `:param` placeholders.
- * @param {Record<string, string|number>} params - An object with values to replace in the route.
+ * @param {Record<string, string|number|Array<string|number>>} params - An object with values to replace in the route.
  * @throws {Error} Throws an error if any parameter in the route is missing in `params`.
  * @returns {string} The final route with all parameters replaced.
  */
-function fillRoute(route, params) {
-  return route.replace(/:([a-zA-Z0-9_]+)/g, (_, key) => {
-    if (params[key] === undefined) {
-      throw new Error(`Missing parameter "${key}"`);
-    }
-    return params[key];
-  });
+export function fillRoute(route, params) {
+  const joinSegments = (value) => Array.isArray(value) ? value.join("/") : String(value);
+
+  return route
+    .replace(/\{\/\*([a-zA-Z0-9_]+)\}/g, (_, key) => {
+      const value = params[key];
+      if (value === undefined || value === null || value.length === 0) return "";
+      return "/" + joinSegments(value);
+    })
+    .replace(/\*([a-zA-Z0-9_]+)/g, (_, key) => {
+      const value = params[key];
+      if (value === undefined || value === null || value.length === 0) {
+        throw new Error(`Missing parameter "${key}"`);
+      }
+      return joinSegments(value);
+    })
+    .replace(/:([a-zA-Z0-9_]+)/g, (_, key) => {
+      if (params[key] === undefined) {
+        throw new Error(`Missing parameter "${key}"`);
+      }
+      return params[key];
+    }) || "/";
 }
 /**
  * Generates and saves the client-side JS bundle for a component.
@@ -1279,9 +1781,9 @@ async function generateComponentAndFillCache(filePath) {
   const saveComponentsPromises = [];
   
   if (serverHtmls.length) {
-    for (const { params, html, pageHtml, metadata: pageMetadata } of serverHtmls) {
+    for (const { params, html, pageHtml, metadata: pageMetadata, headers, tags } of serverHtmls) {
       const cacheKey = fillRoute(urlPath, params);
-      saveServerHtmlsPromises.push(saveComponentHtmlDisk({ componentPath: cacheKey, html }));
+      saveServerHtmlsPromises.push(saveComponentHtmlDisk({ componentPath: cacheKey, html, headers, tags }));
 
       if (canCSR) {
         saveServerHtmlsPromises.push(saveClientComponent({
@@ -1376,10 +1878,13 @@ export async function generateComponentsAndFillCache() {
  *   serverRoutes: Array<{
  *     path: string,
  *     serverPath: string,
+ *     pageName: string,
  *     isNotFound: boolean,
  *     meta: {
  *       ssr: boolean,
  *       requiresAuth: boolean,
+ *       guestOnly: boolean,
+ *       hasActions: boolean,
  *       revalidate: number | string
  *     }
  *   }>,
@@ -1389,6 +1894,7 @@ export async function generateComponentsAndFillCache() {
  *     meta: {
  *       ssr: boolean,
  *       requiresAuth: boolean,
+ *       guestOnly: boolean,
  *     }
  *   }>,
  * }>}
@@ -1405,19 +1911,40 @@ async function getRouteFileData(file) {
     getLayoutPaths(file.fullpath),
   ]);
 
-  const { getData, getMetadata, getStaticPaths, serverComponents } = processedFileData;
+  const { getData, getMetadata, getStaticPaths, serverComponents, actions } = processedFileData;
 
   const filePath = getOriginalRoutePath(file.fullpath);
   const urlPath = getRoutePath(file.fullpath);
 
   const { metadata, paths } = await getMetadataAndStaticPaths(getMetadata, getStaticPaths);
 
+  // Page actions — the server registers a POST handler for the route.
+  const hasActions = Boolean(actions);
+
+  // metadata.fallback — how params missing from getStaticPaths are served.
+  const fallback = getPageFallback(metadata, file.fullpath);
+  const revalidate = getPageRevalidate(metadata);
+
+  // metadata.cacheKey is read by the router on each request — validated here
+  // so a typo fails the build instead of every request.
+  parseCacheKey(metadata?.cacheKey, file.fullpath);
+  validateSuspenseCache(metadata, file.fullpath);
 
   const canCSR = getIfPageCanCSR(
-    metadata?.revalidate,
+    revalidate,
     serverComponents.size > 0,
-    typeof getData === "function"
-  );
+    typeof getData === "function",
+    hasActions
+  ) && !isOnDemandOnly(fallback, paths, typeof getData === "function");
+
+  // Route guards — enforced by handlePageRequest on the server and mirrored
+  // by the client navigation runtime.
+  const requiresAuth = metadata?.requiresAuth === true;
+  const guestOnly = metadata?.guestOnly === true;
+
+  // not-found/page.vex — rendered with status 404 for missing URLs below its
+  // folder and for notFound(), on the server and by the client router.
+  const isNotFound = file.fullpath.endsWith(path.sep + NOT_FOUND_PAGE);
 
   // Push a plain object — no serialisation needed.
   // Previously this was a hand-crafted JS string that generateRoutes() had to
@@ -1426,11 +1953,21 @@ async function getRouteFileData(file) {
   data.serverRoutes.push({
     path: filePath,
     serverPath: urlPath,
-    isNotFound: file.path.includes("/not-found/"),
+    // Folder of the page relative to pages/ — unlike `path`, it keeps route
+    // groups, so the server can locate page.vex (and its middlewares) on disk.
+    pageName: path.relative(PAGES_DIR, path.dirname(file.fullpath)).split(path.sep).join("/"),
+    isNotFound,
     meta: {
       ssr: !canCSR,
-      requiresAuth: false,
-      revalidate: metadata?.revalidate ?? 0,
+      requiresAuth,
+      guestOnly,
+      hasActions,
+      revalidate,
+      fallback,
+      // "static-only" — the only URLs the server renders, anything else is a 404.
+      ...(fallback === "static-only" && {
+        staticPaths: paths.map((pathObj) => fillRoute(urlPath, pathObj.params)),
+      }),
     },
   });
 
@@ -1438,9 +1975,11 @@ async function getRouteFileData(file) {
   if (!canCSR) {
     data.clientRoutes.push(`{
       path: "${urlPath}",
+      isNotFound: ${isNotFound},
       meta: {
         ssr: true,
-        requiresAuth: false,
+        requiresAuth: ${requiresAuth},
+        guestOnly: ${guestOnly},
       },
     }`);
 
@@ -1467,6 +2006,7 @@ async function getRouteFileData(file) {
 
       data.clientRoutes.push(`{
         path: "${filledPath}",
+        isNotFound: ${isNotFound},
         component: async () => {
           const mod = await loadRouteComponent("${filledPath}", () => import("${importPath}"));
 
@@ -1475,7 +2015,21 @@ async function getRouteFileData(file) {
         layouts: ${JSON.stringify(layoutsImportData)},
         meta: {
           ssr: false,
-          requiresAuth: false,
+          requiresAuth: ${requiresAuth},
+          guestOnly: ${guestOnly},
+        },
+      }`);
+    }
+
+    // "blocking" — other params are rendered by the server on first visit.
+    if (fallback === "blocking") {
+      data.clientRoutes.push(`{
+        path: "${urlPath}",
+        isNotFound: ${isNotFound},
+        meta: {
+          ssr: true,
+          requiresAuth: ${requiresAuth},
+          guestOnly: ${guestOnly},
         },
       }`);
     }
@@ -1485,6 +2039,7 @@ async function getRouteFileData(file) {
 
     data.clientRoutes.push(`{
       path: "${urlPath}",
+      isNotFound: ${isNotFound},
       component: async () => {
         const mod = await loadRouteComponent("${urlPath}", () => import("${importPath}"));
         
@@ -1493,7 +2048,8 @@ async function getRouteFileData(file) {
       layouts: ${JSON.stringify(layoutsImportData)},
       meta: {
         ssr: false,
-        requiresAuth: false,
+        requiresAuth: ${requiresAuth},
+        guestOnly: ${guestOnly},
       },
     }`);
   }
@@ -1501,6 +2057,73 @@ async function getRouteFileData(file) {
   return data;
 }
 
+/**
+ * Extracts the route descriptor of an API route handler (`route.js`).
+ *
+ * The module is imported once at build time to find out which HTTP methods
+ * it exports, so the server can register exactly those methods and answer
+ * 405 for the rest. The handler itself is re-imported at runtime from
+ * `handlerPath`, which is stored relative to the project root so the
+ * registry stays valid when the built app is deployed elsewhere.
+ *
+ * @async
+ * @param {{ fullpath: string, path: string }} file
+ * API route file descriptor.
+ *
+ * @returns {Promise<{
+ *   path: string,
+ *   serverPath: string,
+ *   handlerPath: string,
+ *   methods: string[]
+ * }>}
+ */
+async function getApiRouteFileData(file) {
+  const mod = await import(pathToFileURL(file.fullpath).href);
+  const methods = API_ROUTE_METHODS.filter((method) => typeof mod[method] === "function");
+
+  if (methods.length === 0) {
+    console.warn(`[build] ${file.path} does not export any HTTP method handler (${API_ROUTE_METHODS.join(", ")})`);
+  }
+
+  return {
+    path: getOriginalRoutePath(file.fullpath),
+    serverPath: getRoutePath(file.fullpath),
+    handlerPath: path.relative(PROJECT_ROOT, file.fullpath).replace(/\\/g, "/"),
+    methods,
+  };
+}
+
+/**
+ * Fails the build when two route files match exactly the same URLs —
+ * e.g. `users/[id]/page.vex` and `users/[userId]/page.vex`, or the same
+ * page in two route groups. Express and the client router would silently
+ * pick one of them.
+ *
+ * @param {Array<{ fullpath: string }>} files
+ * Page and API route files.
+ *
+ * @throws {Error} Listing every conflicting pattern and its files.
+ */
+function assertNoRouteConflicts(files) {
+  const filesByPattern = new Map();
+
+  for (const file of files) {
+    const pattern = getRoutePattern(getOriginalRoutePath(file.fullpath));
+    if (!filesByPattern.has(pattern)) filesByPattern.set(pattern, []);
+    filesByPattern.get(pattern).push(file);
+  }
+
+  const conflicts = [...filesByPattern.values()].filter((group) => group.length > 1);
+  if (!conflicts.length) return;
+
+  const details = conflicts.map((group) => [
+    `  "${getOriginalRoutePath(group[0].fullpath)}" is defined by:`,
+    ...group.map((file) => `    - ${path.relative(PROJECT_ROOT, file.fullpath)}`),
+  ].join("\n"));
+
+  throw new Error(`Conflicting routes — each URL must map to a single file:\n${details.join("\n")}`);
+}
+
 /**
  * Generates server-side and client-side routing tables by scanning page files.
  *
@@ -1508,8 +2131,13 @@ async function getRouteFileData(file) {
  * - Analyzes each page to determine SSR or client rendering
  * - Produces server route definitions for request handling
  * - Produces client route definitions for navigation and hydration
+ * - Collects API route handlers (`route.js`) for the server registry
+ * - Sorts routes by specificity (see `compareRoutePaths`) so both
+ *   registries list them in the same order
  * - Writes routing artifacts to disk
  *
+ * Throws when two files map to the same route pattern.
+ *
  * Output files:
  * - `server/_routes.js`
  * - `public/_routes.js`
@@ -1519,24 +2147,44 @@ async function getRouteFileData(file) {
  *   serverRoutes: Array<{
  *     path: string,
  *     serverPath: string,
+ *     pageName: string,
  *     isNotFound: boolean,
  *     meta: {
  *       ssr: boolean,
  *       requiresAuth: boolean,
+ *       guestOnly: boolean,
+ *       hasActions: boolean,
  *       revalidate: number | string
  *     }
+ *   }>,
+ *   apiRoutes: Array<{
+ *     path: string,
+ *     serverPath: string,
+ *     handlerPath: string,
+ *     methods: string[]
  *   }>
  * }>}
  * Parsed server routes for runtime usage.
  */
 export async function generateRoutes() {
-  const pageFiles = await getPageFiles()
+  const files = await getPageFiles({ apiRoutes: true });
+  // Sorted by matching precedence (static > dynamic > catch-all) — Express
+  // registers handlers and the client router matches routes in this order.
+  const byRoutePrecedence = (a, b) =>
+    compareRoutePaths(getOriginalRoutePath(a.fullpath), getOriginalRoutePath(b.fullpath));
+  const pageFiles = files.filter((file) => file.name !== API_ROUTE_FILE).sort(byRoutePrecedence);
+  const apiRouteFiles = files.filter((file) => file.name === API_ROUTE_FILE).sort(byRoutePrecedence);
+
+  assertNoRouteConflicts(files);
 
   const serverRoutes = [];
   const clientRoutes = [];
 
   const routeFilesPromises = pageFiles.map((pageFile) => getRouteFileData(pageFile))
-  const routeFiles = await Promise.all(routeFilesPromises);
+  const [routeFiles, apiRoutes] = await Promise.all([
+    Promise.all(routeFilesPromises),
+    Promise.all(apiRouteFiles.map(getApiRouteFileData)),
+  ]);
 
   for (const routeFile of routeFiles) {
     const {
@@ -1554,11 +2202,11 @@ export async function generateRoutes() {
 
   await Promise.all([
     saveClientRoutesFile(clientRoutes),
-    saveServerRoutesFile(serverRoutes),
+    saveServerRoutesFile(serverRoutes, apiRoutes),
   ]);
 
   // serverRoutes is already an array of plain objects — no eval() needed (BUILD-03 fix)
-  return { serverRoutes };
+  return { serverRoutes, apiRoutes };
 }
 
 /**
@@ -1584,8 +2232,8 @@ async function buildUserFile(filePath) {
 }
 
 /**
- * Recursively finds all .js files in SRC_DIR (excluding WATCH_IGNORE dirs)
- * and prebundles each one via buildUserFile.
+ * Recursively finds all .js files in SRC_DIR (excluding WATCH_IGNORE dirs and
+ * server-only files) and prebundles each one via buildUserFile.
  *
  * Called during build() so that user utility files are ready before the server
  * starts serving /_vexjs/user/* from the pre-built static output.
@@ -1604,6 +2252,8 @@ async function buildUserFiles() {
       if (entry.isDirectory()) {
         await collect(full);
       } else if (entry.name.endsWith(".js")) {
+        // Route handlers, middlewares and the auth module run on the server only — never bundle them for the browser
+        if (isServerOnlyFile(full)) return;
         const rel = path.relative(SRC_DIR, full).replace(/\\/g, "/");
         if (WATCH_IGNORE_FILES.some(pattern => path.matchesGlob(rel, pattern))) return;
         try {
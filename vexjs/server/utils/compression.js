@@ -0,0 +1,300 @@
+import fs from "fs/promises";
+import path from "path";
+import zlib from "zlib";
+import { promisify } from "util";
+
+/**
+ * Response compression.
+ *
+ * Two complementary paths:
+ *   - `compression()` compresses dynamic responses (pages, API routes) on the
+ *     fly with brotli or gzip. Every write is flushed through the compressor,
+ *     so streamed Suspense chunks still reach the browser as soon as they are
+ *     rendered.
+ *   - `vex build` writes `.br` / `.gz` copies of the client bundles with
+ *     `precompressDirectory()`, and `servePrecompressed()` serves them from
+ *     the static mounts — no compression work per request.
+ */
+
+/** Encodings the server produces, in order of preference. */
+const ENCODINGS = [
+  { name: "br", extension: ".br" },
+  { name: "gzip", extension: ".gz" },
+];
+
+/** Responses smaller than this (bytes) are sent uncompressed. */
+const MIN_COMPRESSIBLE_SIZE = 1024;
+
+/**
+ * Content types worth compressing. Server-sent events are left alone — they
+ * must reach the client unbuffered.
+ */
+const COMPRESSIBLE_TYPE = /^(text\/(?!event-stream)|application\/(javascript|json|xml|manifest\+json)|image\/svg\+xml)/i;
+
+/** File extensions `precompressDirectory()` writes compressed copies for. */
+const COMPRESSIBLE_EXTENSIONS = new Set([".js", ".mjs", ".css", ".html", ".json", ".svg", ".map", ".txt", ".xml", ".webmanifest"]);
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+/**
+ * Picks the encoding for a request from its `Accept-Encoding` header —
+ * brotli when accepted, otherwise gzip. Unlike plain header order, the
+ * server preference decides between encodings the client accepts equally
+ * (browsers send `gzip, deflate, br`).
+ *
+ * @param {string | undefined} acceptEncoding
+ * @returns {"br" | "gzip" | null}
+ */
+export function negotiateEncoding(acceptEncoding) {
+  if (!acceptEncoding) return null;
+
+  const accepted = new Map();
+  for (const part of acceptEncoding.split(",")) {
+    const [name, ...params] = part.trim().toLowerCase().split(";");
+    const qParam = params.find((param) => param.trim().startsWith("q="));
+    const q = qParam ? Number(qParam.trim().slice(2)) : 1;
+    if (name) accepted.set(name, Number.isNaN(q) ? 0 : q);
+  }
+
+  const isAccepted = (encoding) => (accepted.get(encoding) ?? accepted.get("*") ?? 0) > 0;
+  return ENCODINGS.find(({ name }) => isAccepted(name))?.name ?? null;
+}
+
+/**
+ * Creates the compressor for an encoding. Dynamic responses use a moderate
+ * brotli quality: the maximum is far too slow to run on every request.
+ *
+ * @param {"br" | "gzip"} encoding
+ * @returns {zlib.BrotliCompress | zlib.Gzip}
+ */
+function createCompressor(encoding) {
+  return encoding === "br"
+    ? zlib.createBrotliCompress({ params: { [zlib.constants.BROTLI_PARAM_QUALITY]: 4 } })
+    : zlib.createGzip();
+}
+
+/**
+ * Tells whether a response about to be sent should be compressed, from its
+ * status and headers.
+ *
+ * @param {import("http").ServerResponse} res
+ * @returns {boolean}
+ */
+function shouldCompress(res) {
+  if (res.statusCode < 200 || res.statusCode === 204 || res.statusCode === 304) return false;
+  if (res.getHeader("Content-Encoding")) return false;
+  if (!COMPRESSIBLE_TYPE.test(String(res.getHeader("Content-Type") ?? ""))) return false;
+  if (/\bno-transform\b/.test(String(res.getHeader("Cache-Control") ?? ""))) return false;
+
+  const contentLength = Number(res.getHeader("Content-Length"));
+  return !(contentLength < MIN_COMPRESSIBLE_SIZE);
+}
+
+/**
+ * Express middleware compressing responses with brotli or gzip.
+ *
+ * It wraps `writeHead`, `write` and `end`: the decision is taken once the
+ * status and headers are final, and each write is flushed through the
+ * compressor so chunked (streamed) responses keep arriving progressively.
+ * Responses already encoded — e.g. precompressed bundles — pass through.
+ *
+ * @returns {import("express").RequestHandler}
+ */
+export function compression() {
+  return (req, res, next) => {
+    // Responses are still wrapped without an accepted encoding, to send
+    // `Vary: Accept-Encoding` — a shared cache must not hand the uncompressed
+    // copy to clients that accept brotli, or the other way round.
+    const encoding = req.method === "HEAD" ? null : negotiateEncoding(req.headers["accept-encoding"]);
+
+    const writeHead = res.writeHead;
+    const write = res.write;
+    const end = res.end;
+
+    /** @type {zlib.BrotliCompress | zlib.Gzip | null} */
+    let compressor = null;
+
+    res.writeHead = function (...args) {
+      if (typeof args[0] === "number") res.statusCode = args[0];
+
+      if (!res.headersSent && COMPRESSIBLE_TYPE.test(String(res.getHeader("Content-Type") ?? ""))) {
+        res.vary("Accept-Encoding");
+      }
+
+      if (encoding && !compressor && !res.headersSent && shouldCompress(res)) {
+        compressor = createCompressor(encoding);
+        res.setHeader("Content-Encoding", encoding);
+        res.removeHeader("Content-Length");
+
+        compressor.on("data", (chunk) => {
+          if (!write.call(res, chunk)) compressor.pause();
+        });
+        compressor.on("end", () => end.call(res));
+        // Backpressure both ways: the socket pauses the compressor, and
+        // writers piping into `res` wait for the compressor to drain.
+        res.on("drain", () => compressor.resume());
+        compressor.on("drain", () => res.emit("drain"));
+        res.on("close", () => compressor.destroy());
+      }
+
+      return writeHead.apply(this, args);
+    };
+
+    res.write = function (chunk, encodingOrCallback, callback) {
+      if (!res.headersSent) res.writeHead(res.statusCode);
+      if (!compressor) return write.call(this, chunk, encodingOrCallback, callback);
+
+      const accepted = compressor.write(chunk, typeof encodingOrCallback === "string" ? encodingOrCallback : undefined);
+      compressor.flush();
+      return accepted;
+    };
+
+    res.end = function (chunk, encodingOrCallback, callback) {
+      if (!res.headersSent) {
+        // The body is known: let small responses go out uncompressed.
+        if (chunk && typeof chunk !== "function" && !res.getHeader("Content-Length")) {
+          const chunkEncoding = typeof encodingOrCallback === "string" ? encodingOrCallback : undefined;
+          res.setHeader("Content-Length", Buffer.byteLength(chunk, chunkEncoding));
+        }
+        res.writeHead(res.statusCode);
+      }
+      if (!compressor) return end.call(this, chunk, encodingOrCallback, callback);
+
+      if (chunk && typeof chunk !== "function") {
+        compressor.write(chunk, typeof encodingOrCallback === "string" ? encodingOrCallback : undefined);
+      }
+      compressor.end();
+      return this;
+    };
+
+    next();
+  };
+}
+
+/**
+ * Writes a brotli (`.br`) and a gzip (`.gz`) copy, at maximum compression,
+ * of every compressible file under `directory` of at least
+ * `MIN_COMPRESSIBLE_SIZE` bytes.
+ *
+ * @async
+ * @param {string} directory
+ * @returns {Promise<number>} Number of files compressed.
+ */
+export async function precompressDirectory(directory) {
+  let entries;
+  try {
+    entries = await fs.readdir(directory, { recursive: true, withFileTypes: true });
+  } catch {
+    return 0;
+  }
+
+  const files = entries
+    .filter((entry) => entry.isFile() && COMPRESSIBLE_EXTENSIONS.has(path.extname(entry.name)))
+    .map((entry) => path.join(entry.parentPath ?? entry.path, entry.name));
+
+  let compressed = 0;
+  for (const filePath of files) {
+    const content = await fs.readFile(filePath);
+    if (content.length < MIN_COMPRESSIBLE_SIZE) continue;
+
+    const [brotli, gzipped] = await Promise.all([
+      brotliCompress(content, {
+        params: {
+          [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+          [zlib.constants.BROTLI_PARAM_SIZE_HINT]: content.length,
+        },
+      }),
+      gzip(content, { level: zlib.constants.Z_BEST_COMPRESSION }),
+    ]);
+
+    await Promise.all([
+      fs.writeFile(`${filePath}.br`, brotli),
+      fs.writeFile(`${filePath}.gz`, gzipped),
+    ]);
+    compressed++;
+  }
+
+  return compressed;
+}
+
+/**
+ * Tells whether `compressedPath` exists and is at least as recent as the
+ * file it was produced from — a bundle regenerated after `vex build` (e.g.
+ * by HMR in dev) must not be served from an outdated copy.
+ *
+ * @async
+ * @param {string} filePath
+ * @param {string} compressedPath
+ * @returns {Promise<boolean>}
+ */
+async function isUpToDate(filePath, compressedPath) {
+  try {
+    const [original, compressed] = await Promise.all([fs.stat(filePath), fs.stat(compressedPath)]);
+    return compressed.mtimeMs >= original.mtimeMs;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Express middleware placed before `express.static(root)`: when the client
+ * accepts brotli or gzip and `root` holds an up-to-date `.br` / `.gz` copy
+ * of the requested file, the request is rewritten to that copy.
+ * `setPrecompressedHeaders` then restores the original content type.
+ *
+ * @param {string} root - Directory served by the static mount.
+ * @returns {import("express").RequestHandler}
+ */
+export function servePrecompressed(root) {
+  const resolvedRoot = path.resolve(root);
+
+  return async (req, res, next) => {
+    if (req.method !== "GET" && req.method !== "HEAD") return next();
+
+    let requestPath;
+    try {
+      requestPath = decodeURIComponent(req.path);
+    } catch {
+      return next();
+    }
+    if (!COMPRESSIBLE_EXTENSIONS.has(path.extname(requestPath))) return next();
+
+    res.vary("Accept-Encoding");
+
+    const encoding = negotiateEncoding(req.headers["accept-encoding"]);
+    if (!encoding) return next();
+
+    const filePath = path.join(resolvedRoot, requestPath);
+    if (!filePath.startsWith(resolvedRoot + path.sep)) return next();
+
+    const { extension } = ENCODINGS.find(({ name }) => name === encoding);
+    if (await isUpToDate(filePath, filePath + extension)) {
+      const queryIndex = req.url.indexOf("?");
+      req.url = queryIndex === -1
+        ? req.url + extension
+        : req.url.slice(0, queryIndex) + extension + req.url.slice(queryIndex);
+    }
+
+    next();
+  };
+}
+
+/**
+ * `setHeaders` hook for the static mounts: files served through
+ * `servePrecompressed` get their `Content-Encoding` and the content type of
+ * the original file instead of the `.br` / `.gz` one.
+ *
+ * @param {import("express").Response} res
+ * @param {string} filePath - File being sent.
+ * @returns {string} Path of the original (uncompressed) file.
+ */
+export function setPrecompressedHeaders(res, filePath) {
+  const precompressed = ENCODINGS.find(({ extension }) => filePath.endsWith(extension));
+  if (!precompressed) return filePath;
+
+  const originalPath = filePath.slice(0, -precompressed.extension.length);
+  res.setHeader("Content-Encoding", precompressed.name);
+  res.type(path.extname(originalPath));
+  return originalPath;
+}
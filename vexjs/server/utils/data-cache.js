@@ -1,3 +1,5 @@
+import { CACHE_CONFIG } from "./files.js";
+
 /**
  * In-process TTL cache for server-side data fetching.
  *
@@ -9,6 +11,8 @@
  * `withCache(key, ttlSeconds, fn)` deduplicates these calls:
  *   - On the first call for a given key it invokes `fn`, caches the result,
  *     and returns it.
+ *   - Concurrent calls for a key that is being fetched share the same
+ *     promise — `fn` runs once, not once per caller.
  *   - Subsequent calls within the TTL window return the cached value directly,
  *     with no I/O.
  *   - After the TTL expires the next call re-fetches and refreshes the cache.
@@ -22,16 +26,135 @@
  *     return { weather };
  *   }
  *
- * `withCache` is automatically available in every server script — no import needed.
+ * `withCache` is automatically available in every server script — no import
+ * needed — along with `withCache.invalidate(key)` and
+ * `withCache.invalidatePrefix(prefix)`.
  *
  * Key:   any string that uniquely identifies the data source + parameters
  * TTL:   seconds the cached value is considered fresh
  * fn:    zero-argument function that returns a value or a Promise<value>
+ * options:
+ *   tags                  labels; `revalidateTag(tag)` marks every entry carrying
+ *                         the tag as stale, e.g. `{ tags: ['articles'] }`
+ *   staleWhileRevalidate  seconds after the TTL during which the stale value is
+ *                         returned right away while `fn` refreshes it in the background
+ *   staleIfError          seconds after the TTL during which the last good value
+ *                         is returned when `fn` throws or rejects
+ *
+ * The cache holds at most `cache.dataMaxEntries` keys (vex.config.json,
+ * default 1000); the least recently used key is evicted first.
+ */
+
+/**
+ * @typedef {Object} DataCacheEntry
+ * @property {any} value - Last value returned by the fetcher.
+ * @property {number} expiresAt - Timestamp (ms) until which the value is fresh.
+ * @property {string[]} tags
+ * @property {number} staleWhileRevalidate - Seconds after `expiresAt` the value may be served while refreshing.
+ * @property {number} staleIfError - Seconds after `expiresAt` the value may be served when the fetcher fails.
  */
 
-/** @type {Map<string, { value: any, expiresAt: number }>} */
+/** @type {Map<string, DataCacheEntry>} */
 const cache = new Map();
 
+/**
+ * Fetches in progress, by key. Concurrent misses await the same promise.
+ *
+ * @type {Map<string, Promise<any>>}
+ */
+const inFlight = new Map();
+
+/**
+ * Reads an entry and marks it as the most recently used one (a `Map` keeps
+ * insertion order, so re-inserting moves it to the end).
+ *
+ * @param {string} key
+ * @returns {DataCacheEntry | undefined}
+ */
+function touchEntry(key) {
+  const entry = cache.get(key);
+  if (entry) {
+    cache.delete(key);
+    cache.set(key, entry);
+  }
+  return entry;
+}
+
+/**
+ * Stores an entry and evicts the least recently used keys beyond
+ * `CACHE_CONFIG.dataMaxEntries`.
+ *
+ * @param {string} key
+ * @param {DataCacheEntry} entry
+ */
+function storeEntry(key, entry) {
+  cache.delete(key);
+  cache.set(key, entry);
+
+  while (cache.size > CACHE_CONFIG.dataMaxEntries) {
+    cache.delete(cache.keys().next().value);
+  }
+}
+
+/**
+ * Tells whether `entry` may still be served `seconds` after it expired.
+ *
+ * @param {DataCacheEntry | undefined} entry
+ * @param {number} seconds
+ * @returns {boolean}
+ */
+const isWithinGrace = (entry, seconds) =>
+  Boolean(entry) && Date.now() < entry.expiresAt + seconds * 1000;
+
+/**
+ * Runs the fetcher for `key` once, however many callers are waiting.
+ *
+ * The result is stored only if the fetch is still the current one for the
+ * key — a fetch that started before `invalidate(key)` must not bring the
+ * invalidated value back. When the fetcher fails, the last good value is
+ * returned instead while it is within its `staleIfError` window.
+ *
+ * @template T
+ * @param {string} key
+ * @param {() => T | Promise<T>} fn
+ * @param {Omit<DataCacheEntry, "value" | "expiresAt"> & { ttlSeconds: number }} options
+ * @returns {Promise<T>}
+ */
+function fetchEntry(key, fn, { ttlSeconds, tags, staleWhileRevalidate, staleIfError }) {
+  const pending = inFlight.get(key);
+  if (pending) return pending;
+
+  const promise = (async () => {
+    try {
+      // Deferred a tick so a synchronous throw also lands in the catch below.
+      const value = await Promise.resolve().then(fn);
+
+      if (inFlight.get(key) === promise) {
+        storeEntry(key, {
+          value,
+          expiresAt: Date.now() + ttlSeconds * 1000,
+          tags,
+          staleWhileRevalidate,
+          staleIfError,
+        });
+      }
+      return value;
+    } catch (error) {
+      const entry = cache.get(key);
+      if (isWithinGrace(entry, entry?.staleIfError ?? 0)) {
+        console.error(`[withCache] Fetch failed for "${key}", serving the last good value:`, error.message);
+        return entry.value;
+      }
+      throw error;
+    } finally {
+      if (inFlight.get(key) === promise) inFlight.delete(key);
+    }
+  })();
+
+  inFlight.set(key, promise);
+  return promise;
+}
+
 /**
  * Returns a cached value for `key` if still fresh, otherwise calls `fn`,
  * stores the result, and returns it.
@@ -40,23 +163,92 @@ const cache = new Map();
  * @param {string} key       - Unique cache key.
  * @param {number} ttlSeconds - Seconds before the cached value expires.
  * @param {() => T | Promise<T>} fn - Fetcher called on a cache miss.
+ * @param {{ tags?: string[], staleWhileRevalidate?: number, staleIfError?: number }} [options]
+ * @param {string[]} [options.tags=[]] - Tags matched by `revalidateTag()`.
+ * @param {number} [options.staleWhileRevalidate=0] - Seconds the expired value is served while refreshing in the background.
+ * @param {number} [options.staleIfError=0] - Seconds the expired value is served when `fn` fails.
  * @returns {T | Promise<T>}
+ *
+ * @example
+ * const posts = await withCache("posts", 60, fetchPosts, {
+ *   staleWhileRevalidate: 300, // answer instantly for 5 more minutes, refreshing in the background
+ *   staleIfError: 3600,        // keep serving the last posts for an hour if the API is down
+ * });
  */
-export function withCache(key, ttlSeconds, fn) {
-  const entry = cache.get(key);
+export function withCache(key, ttlSeconds, fn, { tags = [], staleWhileRevalidate = 0, staleIfError = 0 } = {}) {
+  const entry = touchEntry(key);
   if (entry && Date.now() < entry.expiresAt) {
     return entry.value;
   }
 
-  const result = fn();
+  const options = { ttlSeconds, tags, staleWhileRevalidate, staleIfError };
 
-  if (result instanceof Promise) {
-    return result.then((value) => {
-      cache.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
-      return value;
+  if (isWithinGrace(entry, entry?.staleWhileRevalidate ?? 0)) {
+    fetchEntry(key, fn, options).catch((error) => {
+      console.error(`[withCache] Background refresh failed for "${key}":`, error.message);
     });
+    return entry.value;
+  }
+
+  return fetchEntry(key, fn, options);
+}
+
+/**
+ * Removes the cached value of `key`. The next `withCache` call for it
+ * fetches again — even if a fetch started before this call is still running.
+ *
+ * @param {string} key
+ * @returns {boolean} `true` when the key was cached or being fetched.
+ *
+ * @example
+ * export const actions = {
+ *   async save({ formData }) {
+ *     await db.saveSettings(formData);
+ *     withCache.invalidate("settings");
+ *   },
+ * };
+ */
+export function invalidate(key) {
+  const existed = cache.delete(key);
+  return inFlight.delete(key) || existed;
+}
+
+/**
+ * Removes every cached value whose key starts with `prefix`.
+ *
+ * @param {string} prefix
+ * @returns {number} Number of keys removed.
+ *
+ * @example
+ * withCache.invalidatePrefix("products:"); // products:1, products:2, …
+ */
+export function invalidatePrefix(prefix) {
+  const keys = new Set([...cache.keys(), ...inFlight.keys()].filter((key) => key.startsWith(prefix)));
+  keys.forEach(invalidate);
+  return keys.size;
+}
+
+withCache.invalidate = invalidate;
+withCache.invalidatePrefix = invalidatePrefix;
+
+/**
+ * Marks every entry tagged with `tag` as stale: the next `withCache` call
+ * for those keys refetches (or serves the stale value under
+ * `staleWhileRevalidate` / `staleIfError`).
+ *
+ * @param {string} tag
+ * @returns {number} Number of entries marked stale.
+ */
+export function revalidateDataTag(tag) {
+  const now = Date.now();
+  let count = 0;
+
+  for (const entry of cache.values()) {
+    if (entry.tags.includes(tag) && entry.expiresAt > now) {
+      entry.expiresAt = now;
+      count++;
+    }
   }
 
-  cache.set(key, { value: result, expiresAt: Date.now() + ttlSeconds * 1000 });
-  return result;
+  return count;
 }
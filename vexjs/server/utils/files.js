@@ -4,6 +4,7 @@ import path from "path";
 import crypto from "crypto";
 import { fileURLToPath, pathToFileURL } from "url";
 import esbuild from "esbuild";
+import { precompressDirectory } from "./compression.js";
 
 /**
  * Absolute path of the current file.
@@ -32,6 +33,13 @@ const ROOT_DIR = PROJECT_ROOT;
  *   - `watchIgnore` {string[]} Additional directory names to exclude from the
  *                              dev file watcher, merged with the built-in list.
  *                              Example: ["dist", "coverage"]
+ *   - `auth`        {object}   Route guard settings (`loginPath`, `homePath`,
+ *                              `module`). See AUTH_CONFIG.
+ *   - `cache`       {object}   ISR cache store (`store`, `maxEntries`, `url`,
+ *                              `prefix`) and `withCache` size (`dataMaxEntries`).
+ *                              See CACHE_CONFIG.
+ *   - `templates`   {object}   Template error handling (`strict`).
+ *                              See TEMPLATE_CONFIG.
  *
  * The file is optional — if absent, all values fall back to their defaults.
  */
@@ -104,6 +112,65 @@ export const WATCH_IGNORE = new Set([
  */
 export const WATCH_IGNORE_FILES = (_vexConfig.watchIgnore || []).filter(p => /[\/\*\.]/.test(p));
 
+/**
+ * Route guard settings derived from `auth` in vex.config.json.
+ *
+ *   - `loginPath` Where `requiresAuth` pages send anonymous visitors.
+ *   - `homePath`  Where `guestOnly` pages send authenticated visitors.
+ *   - `module`    Absolute path of the user module exporting
+ *                 `isAuthenticated(req)`. Resolved relative to SRC_DIR,
+ *                 defaults to `auth.js`.
+ */
+export const AUTH_CONFIG = {
+  loginPath: _vexConfig.auth?.loginPath || "/account/login",
+  homePath: _vexConfig.auth?.homePath || "/account",
+  module: path.resolve(SRC_DIR, _vexConfig.auth?.module || "auth.js"),
+};
+
+/**
+ * Built-in ISR cache stores, selectable by name with `cache.store`.
+ */
+export const CACHE_STORES = ["fs", "memory", "redis"];
+
+/**
+ * ISR cache store settings derived from `cache` in vex.config.json.
+ *
+ *   - `store`      One of CACHE_STORES (default `"fs"`), or a module path
+ *                  resolved relative to SRC_DIR whose default export is a
+ *                  custom store (see cache-store.js).
+ *   - `module`     Absolute path of the custom store module, `null` for
+ *                  built-in stores.
+ *   - `maxEntries` Pages kept by the `memory` store before the least
+ *                  recently used one is evicted.
+ *   - `url`        Server used by the `redis` store. Falls back to the
+ *                  `REDIS_URL` environment variable.
+ *   - `prefix`     Prefix of every key written by the `redis` store, so
+ *                  several apps can share one server.
+ *   - `dataMaxEntries` Keys kept by `withCache` before the least recently
+ *                  used one is evicted.
+ */
+const cacheStore = _vexConfig.cache?.store || "fs";
+export const CACHE_CONFIG = {
+  store: cacheStore,
+  module: CACHE_STORES.includes(cacheStore) ? null : path.resolve(SRC_DIR, cacheStore),
+  maxEntries: _vexConfig.cache?.maxEntries ?? 500,
+  url: _vexConfig.cache?.url || process.env.REDIS_URL || "redis://127.0.0.1:6379",
+  prefix: _vexConfig.cache?.prefix ?? "vex:isr:",
+  dataMaxEntries: _vexConfig.cache?.dataMaxEntries ?? 1000,
+};
+
+/**
+ * Template settings derived from `templates` in vex.config.json.
+ *
+ *   - `strict` In production, a template expression that throws fails the
+ *              render (the page gets its error boundary) instead of
+ *              rendering as an empty string. Dev always renders the page and
+ *              reports the error in the browser overlay.
+ */
+export const TEMPLATE_CONFIG = {
+  strict: _vexConfig.templates?.strict === true,
+};
+
 export const PAGES_DIR = path.resolve(SRC_DIR, "pages");
 export const SERVER_APP_DIR = path.join(FRAMEWORK_DIR, "server");
 export const CLIENT_DIR = path.join(FRAMEWORK_DIR, "client");
@@ -181,13 +248,14 @@ export async function initializeDirectories() {
       fs.mkdir(servicesDir, { recursive: true }),
     ]);
 
-    // Copy (or minify in production) framework client runtime files into
-    // .vexjs/services/ so they are served by the /_vexjs/services static route
-    // alongside generated files like _routes.js.
+    // Copy (or minify and precompress in production) framework client runtime
+    // files into .vexjs/services/ so they are served by the /_vexjs/services
+    // static route alongside generated files like _routes.js.
     // Generated files (prefixed with _) are written later by the build step
     // and overwrite any stale copies here.
     if (process.env.NODE_ENV === "production") {
       await minifyServicesDir(CLIENT_SERVICES_DIR, servicesDir);
+      await precompressDirectory(servicesDir);
     } else {
       await fs.cp(CLIENT_SERVICES_DIR, servicesDir, { recursive: true });
     }
@@ -315,41 +383,106 @@ function getDirectoryName(filePath) {
  */
 const layoutPathsCache = new Map();
 
+/**
+ * File name of route middlewares inside `pages/`.
+ * A `middleware.js` runs before every page rendered at or below its folder.
+ */
+export const MIDDLEWARE_FILE = "middleware.js";
+
+/**
+ * Same as `layoutPathsCache`, for `middleware.js` files.
+ *
+ * Key:   absolute page file path
+ * Value: array of absolute middleware.js paths (outermost → innermost)
+ */
+const middlewarePathsCache = new Map();
+
+/**
+ * File name of error boundaries inside `pages/`.
+ * An `error.vex` renders instead of any page at or below its folder that throws.
+ */
+export const ERROR_BOUNDARY_FILE = "error.vex";
+
+/**
+ * File name of loading boundaries inside `pages/`.
+ * A `loading.vex` is streamed while the `getData` of any page at or below
+ * its folder is pending.
+ */
+export const LOADING_BOUNDARY_FILE = "loading.vex";
+
+/**
+ * Page rendered with status 404 for missing URLs and `notFound()`, relative
+ * to the folder it applies to (`pages/not-found/page.vex` for the whole app,
+ * `pages/docs/not-found/page.vex` for `/docs/*`).
+ */
+export const NOT_FOUND_PAGE = path.join("not-found", "page.vex");
+
+/**
+ * Nearest `error.vex` / `loading.vex` / not-found page for a page.
+ *
+ * Key:   `${fileName}:${absolute page file path}`
+ * Value: absolute boundary path, or null when the page has none
+ */
+const boundaryPathCache = new Map();
+
 if (process.env.NODE_ENV !== "production") {
   // Watch the entire pages tree. When a layout.html changes, the set of layouts
   // that exist may have changed — evict all cached entries to be safe.
+  // middleware.js and boundary files are tracked the same way.
+  const isFile = (filename, name) => filename === name || filename?.endsWith(`${path.sep}${name}`);
+
   watch(PAGES_DIR, { recursive: true }, (_, filename) => {
-    if (filename === "layout.vex" || filename?.endsWith(`${path.sep}layout.vex`)) {
+    if (isFile(filename, "layout.vex")) {
       layoutPathsCache.clear();
     }
+    if (isFile(filename, MIDDLEWARE_FILE)) {
+      middlewarePathsCache.clear();
+    }
+    if (isFile(filename, ERROR_BOUNDARY_FILE) || isFile(filename, LOADING_BOUNDARY_FILE) || isFile(filename, NOT_FOUND_PAGE)) {
+      boundaryPathCache.clear();
+    }
   });
 }
 
-async function _getLayoutPaths(pagePath) {
-  const layouts = [];
+/**
+ * Collects every `fileName` found between the pages root and the directory
+ * of `pagePath`, ordered from the pages root (outermost) to the page folder
+ * (innermost).
+ *
+ * @async
+ * @param {string} pagePath - Absolute path to the page file.
+ * @param {string} fileName - File to look for in each directory (e.g. "layout.vex").
+ * @returns {Promise<string[]>}
+ */
+async function findSegmentFiles(pagePath, fileName) {
+  const files = [];
   const relativePath = getRelativePath(PAGES_DIR, pagePath);
   const pathSegments = getDirectoryName(relativePath).split(path.sep);
   
-  // Always start with base layout
-  const baseLayout = path.join(PAGES_DIR, 'layout.vex');
-  if (await fileExists(baseLayout)) {
-    layouts.push(baseLayout);
+  // Always start with the pages root
+  const baseFile = path.join(PAGES_DIR, fileName);
+  if (await fileExists(baseFile)) {
+    files.push(baseFile);
   }
   
-  // Add nested layouts based on directory structure
+  // Add nested files based on directory structure
   let currentPath = PAGES_DIR;
   for (const segment of pathSegments) {
     if (segment === '.' || segment === '..') continue;
     
     currentPath = path.join(currentPath, segment);
-    const layoutPath = path.join(currentPath, 'layout.vex');
+    const segmentFile = path.join(currentPath, fileName);
     
-    if (await fileExists(layoutPath)) {
-      layouts.push(layoutPath);
+    if (await fileExists(segmentFile)) {
+      files.push(segmentFile);
     }
   }
   
-  return layouts;
+  return files;
+}
+
+async function _getLayoutPaths(pagePath) {
+  return findSegmentFiles(pagePath, 'layout.vex');
 }
 
 /**
@@ -368,6 +501,67 @@ export async function getLayoutPaths(pagePath) {
   return result;
 }
 
+/**
+ * Retrieves the `middleware.js` files that apply to a page, resolved the
+ * same way as layouts: from the pages root down to the page's own folder.
+ *
+ * @param {string} pagePath - Absolute path to the page file.
+ * @returns {Promise<string[]>} Absolute middleware paths, outermost first.
+ */
+export async function getMiddlewarePaths(pagePath) {
+  if (middlewarePathsCache.has(pagePath)) return middlewarePathsCache.get(pagePath);
+  const result = await findSegmentFiles(pagePath, MIDDLEWARE_FILE);
+  middlewarePathsCache.set(pagePath, result);
+  return result;
+}
+
+/**
+ * Resolves the boundary file closest to a page — the one in the page's own
+ * folder, or else in the nearest ancestor folder.
+ *
+ * @param {string} pagePath - Absolute path to the page file.
+ * @param {string} fileName - ERROR_BOUNDARY_FILE, LOADING_BOUNDARY_FILE or NOT_FOUND_PAGE.
+ * @returns {Promise<string | null>}
+ */
+async function getNearestBoundaryPath(pagePath, fileName) {
+  const key = `${fileName}:${pagePath}`;
+  if (boundaryPathCache.has(key)) return boundaryPathCache.get(key);
+  const boundaryPaths = await findSegmentFiles(pagePath, fileName);
+  const result = boundaryPaths.at(-1) ?? null;
+  boundaryPathCache.set(key, result);
+  return result;
+}
+
+/**
+ * Retrieves the `error.vex` that catches errors thrown while rendering a page.
+ *
+ * @param {string} pagePath - Absolute path to the page file.
+ * @returns {Promise<string | null>} Absolute boundary path, or null.
+ */
+export function getErrorBoundaryPath(pagePath) {
+  return getNearestBoundaryPath(pagePath, ERROR_BOUNDARY_FILE);
+}
+
+/**
+ * Retrieves the `loading.vex` shown while a page's `getData` is pending.
+ *
+ * @param {string} pagePath - Absolute path to the page file.
+ * @returns {Promise<string | null>} Absolute boundary path, or null.
+ */
+export function getLoadingBoundaryPath(pagePath) {
+  return getNearestBoundaryPath(pagePath, LOADING_BOUNDARY_FILE);
+}
+
+/**
+ * Retrieves the not-found page rendered when a page calls `notFound()`.
+ *
+ * @param {string} pagePath - Absolute path to the page file.
+ * @returns {Promise<string | null>} Absolute not-found page path, or null.
+ */
+export function getNotFoundPagePath(pagePath) {
+  return getNearestBoundaryPath(pagePath, NOT_FOUND_PAGE);
+}
+
 /**
  * Normalizes file content before persisting it to disk.
  *
@@ -464,7 +658,9 @@ function getAutogeneratedComponentName(componentPath) {
     .replaceAll('.vex', '')
     .replaceAll(path.sep, '_')
     .replaceAll('-', '_')
-    .replaceAll(':', '');
+    .replaceAll(':', '')
+    .replace(/[{}*()]/g, '') // catch-all syntax (*param, {/*param}) and route groups
+    .replace(/[?&=%]/g, '_'); // ISR cache key variants (/products?query:page=2)
 
   return `_${componentName}`;
 }
@@ -648,50 +844,86 @@ export async function getComponentHtmlDisk({ componentPath }) {
  * Metadata includes:
  * - `generatedAt`: timestamp of generation
  * - `isStale`: initially false
+ * - `headers`: response headers to send with the cached HTML
+ * - `tags`: cache tags used by `revalidateTag()`
+ *
+ * Fields in `meta` override the defaults.
+ *
+ * The HTML is written as is, not trimmed like other generated files: cache
+ * hits must send the bytes the first response was sent with, or their `ETag`
+ * would differ.
  *
  * @async
  * @param {Object} options
  * @param {string} options.componentPath - Unique identifier or path of the component/page.
  * @param {string} options.html - The HTML content to save.
+ * @param {Record<string, string | string[]>} [options.headers={}] - Response headers of the render.
+ * @param {string[]} [options.tags=[]] - Cache tags of the render.
+ * @param {Object} [options.meta={}] - Metadata to store instead of the defaults.
  * @returns {Promise<void>} Resolves when the HTML and metadata have been successfully saved.
  */
-export async function saveComponentHtmlDisk({ componentPath, html }) {
+export async function saveComponentHtmlDisk({ componentPath, html, headers = {}, tags = [], meta = {} }) {
   const filePath = path.join(CACHE_DIR, generateComponentId(componentPath) + ".html");
   const metaPath = filePath + ".meta.json";
 
-  const meta = {
+  const entryMeta = {
     generatedAt: Date.now(),
     isStale: false,
     path: componentPath,
+    headers,
+    tags,
+    ...meta,
   };
 
   await Promise.all([
-    writeFile(filePath, html, "utf-8"),
-    writeFile(metaPath, JSON.stringify(meta), "utf-8"),
+    fs.writeFile(filePath, html, "utf-8"),
+    writeFile(metaPath, JSON.stringify(entryMeta), "utf-8"),
   ]);
 }
 
 /**
- * Marks a cached component/page as stale without regenerating it.
- *
- * Useful for manual revalidation of ISR pages.
+ * Removes a cached component/page from disk.
  *
  * @async
  * @param {Object} options
- * @param {string} options.componentPath - Unique identifier or path of the component/page to mark as stale.
- * @returns {Promise<void>} Resolves when the cache metadata has been updated.
+ * @param {string} options.componentPath - Unique identifier or path of the component/page.
+ * @returns {Promise<void>}
  */
-export async function markComponentHtmlStale({ componentPath }) {
+export async function deleteComponentHtmlDisk({ componentPath }) {
   const filePath = path.join(CACHE_DIR, generateComponentId(componentPath) + ".html");
-  const metaPath = filePath + ".meta.json";
 
+  await Promise.all([
+    fs.rm(filePath, { force: true }),
+    fs.rm(filePath + ".meta.json", { force: true }),
+  ]);
+}
 
-  if (!(await fileExists(metaPath))) return;
+/**
+ * Lists the paths of every component/page cached on disk, read from the
+ * `path` field of each metadata file.
+ *
+ * @async
+ * @returns {Promise<string[]>}
+ */
+export async function listComponentHtmlDisk() {
+  let fileNames;
+  try {
+    fileNames = await fs.readdir(CACHE_DIR);
+  } catch {
+    return [];
+  }
 
-  const meta = JSON.parse(await fs.readFile(metaPath, "utf-8"));
-  meta.isStale = true;
+  const metaFiles = fileNames.filter((fileName) => fileName.endsWith(".html.meta.json"));
+  const paths = await Promise.all(metaFiles.map(async (fileName) => {
+    try {
+      const meta = JSON.parse(await fs.readFile(path.join(CACHE_DIR, fileName), "utf-8"));
+      return meta.path ?? null;
+    } catch {
+      return null;
+    }
+  }));
 
-  await writeFile(metaPath, JSON.stringify(meta), "utf-8");
+  return paths.filter(Boolean);
 }
 
 /**
@@ -709,17 +941,35 @@ export async function markComponentHtmlStale({ componentPath }) {
 /**
  * Writes the server-side route registry to `_routes.js`.
  *
+ * Page routes and API routes are exported separately (`routes` and
+ * `apiRoutes`) so `vex start` can register both without rescanning pages/.
+ *
  * @param {Array<{
  *   path: string,
  *   serverPath: string,
+ *   pageName: string,
  *   isNotFound: boolean,
- *   meta: { ssr: boolean, requiresAuth: boolean, revalidate: number | string }
+ *   meta: {
+ *     ssr: boolean,
+ *     requiresAuth: boolean,
+ *     guestOnly: boolean,
+ *     hasActions: boolean,
+ *     revalidate: number | string | boolean,
+ *     fallback: "blocking" | "static-only" | null,
+ *     staticPaths?: string[],
+ *   }
  * }>} serverRoutes - Plain route objects.
+ * @param {Array<{
+ *   path: string,
+ *   serverPath: string,
+ *   handlerPath: string,
+ *   methods: string[]
+ * }>} [apiRoutes=[]] - API route handlers found in pages/.
  */
-export async function saveServerRoutesFile(serverRoutes) {
+export async function saveServerRoutesFile(serverRoutes, apiRoutes = []) {
   await writeFile(
     path.join(GENERATED_DIR, "_routes.js"),
-    `// Auto-generated by prebuild — do not edit manually.\nexport const routes = ${JSON.stringify(serverRoutes, null, 2)};\n`
+    `// Auto-generated by prebuild — do not edit manually.\nexport const routes = ${JSON.stringify(serverRoutes, null, 2)};\nexport const apiRoutes = ${JSON.stringify(apiRoutes, null, 2)};\n`
   );
 }
 
@@ -741,6 +991,7 @@ export async function saveClientRoutesFile(clientRoutes) {
      * @typedef {Object} RouteMeta
      * @property {boolean} ssr
      * @property {boolean} requiresAuth
+     * @property {boolean} guestOnly
      * @property {number} revalidateSeconds
      */
 
@@ -761,6 +1012,9 @@ export async function saveClientRoutesFile(clientRoutes) {
     export const routes = [
       ${clientRoutes.join(",\n")}
     ];
+
+    /** Route guard redirects (auth.loginPath / auth.homePath in vex.config.json) */
+    export const auth = ${JSON.stringify({ loginPath: AUTH_CONFIG.loginPath, homePath: AUTH_CONFIG.homePath })};
   `;
 
   await writeFile(
@@ -769,10 +1023,56 @@ export async function saveClientRoutesFile(clientRoutes) {
   );
 }
 
+/**
+ * File name of API route handlers inside `pages/`.
+ * A `route.js` file exports one function per HTTP method (GET, POST, …).
+ */
+export const API_ROUTE_FILE = "route.js";
+
+/**
+ * HTTP methods a `route.js` file can export as named handlers.
+ */
+export const API_ROUTE_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+/**
+ * Matches the file segment that turns a folder into a route —
+ * `page.vex` for pages and `route.js` for API handlers.
+ * @private
+ */
+const ROUTE_ENTRY_FILE_REGEX = /\/(?:page\.vex|route\.js)$/;
+
+/**
+ * Matches a route group segment — a `(group)` folder that organises pages
+ * (e.g. to give them their own `layout.vex`) without adding a URL segment.
+ * @private
+ */
+const ROUTE_GROUP_SEGMENT_REGEX = /\/\([^/)]+\)(?=\/|$)/g;
+
+/**
+ * Returns a file path relative to `pages/`, without its entry file.
+ *
+ * Route group folders are dropped only for route entry files (`page.vex`,
+ * `route.js`) — other files such as layouts keep them, so
+ * `(marketing)/layout.vex` and `(app)/layout.vex` stay distinct.
+ *
+ * @private
+ * @param {string} filePath
+ * Absolute file path.
+ *
+ * @returns {string}
+ */
+function getRouteSource(filePath) {
+  const route = filePath.replace(PAGES_DIR, '');
+  if (!ROUTE_ENTRY_FILE_REGEX.test(route)) return route;
+
+  return route.replace(ROUTE_ENTRY_FILE_REGEX, '').replace(ROUTE_GROUP_SEGMENT_REGEX, '');
+}
+
 /**
  * Converts a page file path into a public-facing route path.
  *
- * Keeps dynamic segments in `[param]` format.
+ * Keeps dynamic segments in `[param]` format. Route group folders
+ * (`(group)`) are not part of the URL and are removed.
  *
  * @param {string} filePath
  * Absolute page file path.
@@ -782,54 +1082,203 @@ export async function saveClientRoutesFile(clientRoutes) {
  */
 
 export function getOriginalRoutePath(filePath) {
-  let route = filePath.replace(PAGES_DIR, '').replace('/page.vex', '');
+  let route = getRouteSource(filePath);
   if (!route.startsWith('/')) route = '/' + route;
   return route;
 }
 
+/**
+ * Checks whether a file lives inside a private folder of `pages/` — any
+ * folder whose name starts with `_` (e.g. `pages/blog/_components/`).
+ * Private folders can colocate files with a route without creating routes.
+ *
+ * @private
+ * @param {string} filePath
+ * Absolute file path.
+ *
+ * @returns {boolean}
+ */
+function isInPrivateFolder(filePath) {
+  const folders = path.dirname(path.relative(PAGES_DIR, filePath)).split(path.sep);
+  return folders.some((folder) => folder.startsWith('_'));
+}
+
 /**
  * Retrieves all page files (`page.html`) in the pages directory.
- * Optionally includes layout files (`layout.html`).
+ * Optionally includes layout files (`layout.html`) and API route
+ * handlers (`route.js`).
+ *
+ * Files inside private folders (`_name/`) are ignored.
  * 
  * @param {Object} [options]
  * @param {boolean} [options.layouts=false]
  * Whether to include layout files in the results.
+ * @param {boolean} [options.apiRoutes=false]
+ * Whether to include `route.js` API handlers in the results.
  * 
  * @async
  * @returns {Promise<Array<{ fullpath: string, path: string }>>}
  */
-export async function getPageFiles({ layouts = false } = {}) {
+export async function getPageFiles({ layouts = false, apiRoutes = false } = {}) {
   const pageFiles = await readDirectoryRecursive(PAGES_DIR);
   const htmlFiles = pageFiles.filter((file) =>
-    file.fullpath.endsWith("page.vex") || (layouts && file.name === "layout.vex")
+    !isInPrivateFolder(file.fullpath) && (
+      file.fullpath.endsWith("page.vex") ||
+      (layouts && file.name === "layout.vex") ||
+      (apiRoutes && file.name === API_ROUTE_FILE)
+    )
   );
 
   return htmlFiles;
 }
 
+/**
+ * Checks whether a user file is server-only — an API route handler
+ * (`route.js`) or a middleware (`middleware.js`) inside `pages/`, the
+ * auth module configured in `AUTH_CONFIG`, or a custom cache store module
+ * configured in `CACHE_CONFIG`.
+ *
+ * These files run on the server only — they must never be bundled for
+ * the browser by `buildUserFiles` or the dev watcher.
+ *
+ * @param {string} filePath
+ * Absolute file path.
+ *
+ * @returns {boolean}
+ */
+export function isServerOnlyFile(filePath) {
+  if (filePath === AUTH_CONFIG.module || filePath === CACHE_CONFIG.module) return true;
+
+  const fileName = path.basename(filePath);
+  return (fileName === API_ROUTE_FILE || fileName === MIDDLEWARE_FILE) &&
+    filePath.startsWith(PAGES_DIR + path.sep);
+}
+
 /**
  * Converts a page file path into a server routing path.
  *
- * Dynamic segments `[param]` are converted to `:param`
- * for Express-style routing.
+ * Dynamic segments are converted to Express 5 (path-to-regexp v8) syntax:
+ * - `[param]`        -> `:param`          (one segment)
+ * - `[...param]`     -> `*param`          (one or more segments, `req.params.param` is an array)
+ * - `[[...param]]`   -> `{/*param}`       (zero or more segments, `req.params.param` may be undefined)
+ *
+ * Route group folders (`(group)`) are removed.
  *
  * @param {string} filePath
  * Absolute page file path.
  *
  * @returns {string}
  * Server route path.
+ *
+ * @example
+ * getRoutePath(".../pages/docs/[...slug]/page.vex");   // "/docs/*slug"
+ * getRoutePath(".../pages/docs/[[...slug]]/page.vex"); // "/docs{/*slug}"
  */
 export function getRoutePath(filePath) {
-  let route = filePath.replace(PAGES_DIR, '').replace('/page.vex', '');
+  let route = getRouteSource(filePath);
+  route = route.replace(/\/\[\[\.\.\.([^\]]+)\]\]/g, '{/*$1}'); // /[[...param]] -> {/*param}
+  route = route.replace(/\[\.\.\.([^\]]+)\]/g, '*$1'); // [...param] -> *param
   route = route.replace(/\[([^\]]+)\]/g, ':$1'); // [param] -> :param
 
-  if (!route.startsWith('/')) {
+  if (!route.startsWith('/') && !route.startsWith('{/')) {
     route = '/' + route;
   }
 
   return route;
 }
 
+/**
+ * Matching rank of a single route segment, lower wins.
+ * @private
+ */
+const ROUTE_SEGMENT_RANK = {
+  static: 0,
+  dynamic: 1,
+  catchAll: 2,
+  optionalCatchAll: 3,
+};
+
+/**
+ * Classifies a `[param]`-style route segment.
+ *
+ * @private
+ * @param {string} segment
+ * @returns {number} One of `ROUTE_SEGMENT_RANK`.
+ */
+function getRouteSegmentRank(segment) {
+  if (/^\[\[\.\.\.[^\]]+\]\]$/.test(segment)) return ROUTE_SEGMENT_RANK.optionalCatchAll;
+  if (/^\[\.\.\.[^\]]+\]$/.test(segment)) return ROUTE_SEGMENT_RANK.catchAll;
+  if (/^\[[^\]]+\]$/.test(segment)) return ROUTE_SEGMENT_RANK.dynamic;
+  return ROUTE_SEGMENT_RANK.static;
+}
+
+/**
+ * Sort comparator giving routes their matching precedence:
+ * static > dynamic > catch-all > optional catch-all, compared segment by
+ * segment from the left.
+ *
+ * Both the server (Express registration order) and the client router
+ * (first match wins) rely on routes being sorted with this comparator,
+ * so `/docs/intro` always wins over `/docs/[id]`, which wins over
+ * `/docs/[...slug]`.
+ *
+ * Routes with the same specificity are ordered by path, so the result
+ * never depends on the order the file system lists directories in.
+ *
+ * @param {string} a
+ * Route path in `[param]` format (see `getOriginalRoutePath`).
+ *
+ * @param {string} b
+ * Route path in `[param]` format.
+ *
+ * @returns {number}
+ */
+export function compareRoutePaths(a, b) {
+  const aSegments = a.split('/').filter(Boolean);
+  const bSegments = b.split('/').filter(Boolean);
+  const length = Math.max(aSegments.length, bSegments.length);
+
+  for (let i = 0; i < length; i++) {
+    // A route that runs out of segments is more specific than one that
+    // keeps matching (e.g. `/docs` before `/docs/[[...slug]]`).
+    if (aSegments[i] === undefined) return -1;
+    if (bSegments[i] === undefined) return 1;
+
+    const rankDiff = getRouteSegmentRank(aSegments[i]) - getRouteSegmentRank(bSegments[i]);
+    if (rankDiff !== 0) return rankDiff;
+  }
+
+  if (a === b) return 0;
+  return a < b ? -1 : 1;
+}
+
+/**
+ * Reduces a route path to the pattern it matches, dropping parameter names.
+ * Two routes with the same pattern match exactly the same URLs.
+ *
+ * @param {string} routePath
+ * Route path in `[param]` format (see `getOriginalRoutePath`).
+ *
+ * @returns {string}
+ *
+ * @example
+ * getRoutePattern("/users/[id]");        // "/users/[]"
+ * getRoutePattern("/docs/[...slug]");    // "/docs/[...]"
+ */
+export function getRoutePattern(routePath) {
+  return routePath
+    .split('/')
+    .map((segment) => {
+      switch (getRouteSegmentRank(segment)) {
+        case ROUTE_SEGMENT_RANK.optionalCatchAll: return '[[...]]';
+        case ROUTE_SEGMENT_RANK.catchAll: return '[...]';
+        case ROUTE_SEGMENT_RANK.dynamic: return '[]';
+        default: return segment;
+      }
+    })
+    .join('/');
+}
+
 /**
  * Writes a client component JS module to disk.
  *
@@ -13,9 +13,83 @@
  * Using a single shared EventEmitter avoids coupling the file watcher
  * (component-processor.js) directly to the HTTP server (index.js).
  *
+ * The same channel carries template errors: an expression that throws while
+ * a page renders is recorded for that URL and emitted as `template-error`,
+ * and the browser shows it in an overlay (see hmr-client.js).
+ *
  * This module is a no-op in production — nothing imports it there.
  */
 
 import { EventEmitter } from "events";
 
 export const hmrEmitter = new EventEmitter();
+
+/**
+ * Template errors of the latest render of each URL.
+ *
+ * A page's errors happen before the browser loaded it and opened its HMR
+ * connection, so they are kept here and replayed when it connects (with
+ * `?url=`). `clearTemplateErrors` runs on every request, so a render only
+ * shows its own errors.
+ *
+ * Key:   request URL (`req.originalUrl`)
+ * Value: errors, de-duplicated by location and message
+ */
+const templateErrors = new Map();
+const MAX_TEMPLATE_ERROR_URLS = 50;
+
+/**
+ * Forgets the template errors recorded for `url`.
+ *
+ * @param {string} url
+ */
+export function clearTemplateErrors(url) {
+  templateErrors.delete(url);
+}
+
+/**
+ * Template errors recorded for `url`.
+ *
+ * @param {string} url
+ * @returns {object[]}
+ */
+export function getTemplateErrors(url) {
+  return templateErrors.get(url) ?? [];
+}
+
+/**
+ * Records a template error for `url` and emits it to connected browsers.
+ *
+ * @param {string | null} url - Request being rendered, `null` outside one
+ *   (e.g. a background ISR regeneration).
+ * @param {Error & { templateError: object }} error
+ * @returns {boolean} `false` when the same error was already reported for
+ *   this render — e.g. once per item of an `x-for`.
+ */
+export function reportTemplateError(url, error) {
+  const payload = {
+    url,
+    ...error.templateError,
+    name: error.cause?.name ?? "Error",
+    message: error.cause?.message ?? error.message,
+  };
+
+  const errors = templateErrors.get(url) ?? [];
+  const isDuplicate = errors.some((reported) =>
+    reported.file === payload.file &&
+    reported.line === payload.line &&
+    reported.expression === payload.expression &&
+    reported.message === payload.message
+  );
+  if (isDuplicate) return false;
+
+  if (url !== null) {
+    if (!templateErrors.has(url) && templateErrors.size >= MAX_TEMPLATE_ERROR_URLS) {
+      templateErrors.delete(templateErrors.keys().next().value);
+    }
+    templateErrors.set(url, [...errors, payload]);
+  }
+
+  hmrEmitter.emit("template-error", payload);
+  return true;
+}
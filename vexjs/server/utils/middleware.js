@@ -0,0 +1,131 @@
+import { pathToFileURL } from "url";
+import { getMiddlewarePaths } from "./files.js";
+import { redirect, notFound } from "./component-processor.js";
+import { cookies, headers, setStatus } from "./request-context.js";
+
+/**
+ * Route middlewares (`middleware.js` files inside `pages/`).
+ *
+ * A `middleware.js` file can sit at any level of `pages/` and runs before
+ * every page rendered at or below its folder. Middlewares are resolved the
+ * same way as layouts and run outermost → innermost, so `pages/middleware.js`
+ * always runs before `pages/account/middleware.js`.
+ *
+ * Each middleware exports a function (default export or named `middleware`)
+ * that receives:
+ *   - `req`, `res`   Express request and response. Headers and cookies set
+ *                    here (`res.setHeader`, `res.cookie`) are sent with the page.
+ *   - `context`      The rendering context passed to `getData`. Values attached
+ *                    to it (`context.user = …`) are available in every getData.
+ *   - `redirect`     Aborts the chain and redirects (same helper as server scripts).
+ *   - `notFound`     Aborts the chain and renders the nearest not-found page (404).
+ *   - `rewrite`      Aborts the chain and renders another route under the same URL.
+ *   - `cookies`, `headers`, `setStatus`
+ *                    Buffered response API shared with server scripts, applied
+ *                    to the page response (or redirect) when it is sent.
+ *
+ * A middleware that sends the response itself (e.g. `res.status(401).end()`)
+ * also short-circuits the chain — the page is not rendered.
+ *
+ * @example
+ * // pages/account/middleware.js
+ * export default async function middleware({ req, context, redirect }) {
+ *   const user = await getSession(req);
+ *   if (!user) redirect("/login");
+ *   context.user = user;
+ * }
+ */
+
+/**
+ * Maximum number of rewrites a single request can go through.
+ * Guards against middlewares that rewrite back and forth forever.
+ */
+const MAX_REWRITES = 5;
+
+/**
+ * Throws a structured rewrite error that propagates out of the middleware
+ * chain and is caught by the router, which re-dispatches the request to
+ * `rewritePath` without changing the URL in the browser.
+ *
+ * @param {string} rewritePath - Internal path (and optional query) to render instead.
+ * @throws {Error} Always throws — use inside a middleware to abort the chain.
+ *
+ * @example
+ * export default function middleware({ req, rewrite }) {
+ *   if (req.headers["accept-language"]?.startsWith("es")) rewrite(`/es${req.path}`);
+ * }
+ */
+export function rewrite(rewritePath) {
+  const err = new Error("REWRITE");
+  err.rewrite = { path: rewritePath };
+  throw err;
+}
+
+/**
+ * Imports a middleware module and returns its handler function.
+ *
+ * @param {string} middlewarePath - Absolute path to the middleware.js file.
+ * @returns {Promise<Function | null>}
+ */
+async function loadMiddleware(middlewarePath) {
+  const mod = await import(pathToFileURL(middlewarePath).href);
+  const fn = mod.default ?? mod.middleware;
+
+  if (typeof fn !== "function") {
+    console.warn(`[middleware] ${middlewarePath} does not export a middleware function`);
+    return null;
+  }
+
+  return fn;
+}
+
+/**
+ * Runs every middleware that applies to a page, outermost first.
+ *
+ * `redirect()`, `notFound()` and `rewrite()` throw structured errors that the caller must
+ * handle (see `handlePageRequest`).
+ *
+ * @async
+ * @param {string} pagePath - Absolute path to the page file being rendered.
+ * @param {{
+ *   req: import("express").Request,
+ *   res: import("express").Response,
+ *   [key: string]: any
+ * }} context - Rendering context; middlewares may attach values to it.
+ * @returns {Promise<boolean>} `true` when a middleware already sent the response.
+ */
+export async function runMiddlewares(pagePath, context) {
+  const middlewarePaths = await getMiddlewarePaths(pagePath);
+  const { req, res } = context;
+
+  for (const middlewarePath of middlewarePaths) {
+    const middleware = await loadMiddleware(middlewarePath);
+    if (!middleware) continue;
+
+    await middleware({ req, res, context, redirect, notFound, rewrite, cookies, headers, setStatus });
+
+    if (res.headersSent) return true;
+  }
+
+  return false;
+}
+
+/**
+ * Re-dispatches a request through the Express app under a new URL.
+ *
+ * The browser URL does not change — only `req.url` is replaced, so the
+ * matched route (and its own middlewares) render the response.
+ *
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {string} rewritePath
+ */
+export function dispatchRewrite(req, res, rewritePath) {
+  req.vexRewrites = (req.vexRewrites ?? 0) + 1;
+  if (req.vexRewrites > MAX_REWRITES) {
+    throw new Error(`Too many rewrites for "${req.originalUrl}" (last: "${rewritePath}")`);
+  }
+
+  req.url = rewritePath;
+  req.app.handle(req, res);
+}
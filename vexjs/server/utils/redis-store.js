@@ -0,0 +1,229 @@
+import net from "net";
+import tls from "tls";
+
+/**
+ * ISR cache store for servers that speak the Redis protocol (RESP) — Redis,
+ * Valkey, KeyDB, Dragonfly, or a managed equivalent.
+ *
+ * The framework ships its own minimal client instead of depending on a Redis
+ * package: the store only needs GET, SET, DEL and SCAN. Each entry is saved
+ * as one JSON string under `${prefix}${key}`.
+ *
+ * Supported URLs: `redis://[[user]:password@]host[:port][/db]`, and
+ * `rediss://…` for TLS.
+ */
+
+/** Milliseconds to wait for the connection before failing pending commands. */
+const CONNECT_TIMEOUT = 5000;
+
+/** Keys requested per SCAN round trip. */
+const SCAN_COUNT = 200;
+
+/**
+ * Encodes a command as a RESP array of bulk strings.
+ *
+ * @param {Array<string | number>} args
+ * @returns {Buffer}
+ */
+function encodeCommand(args) {
+  const parts = [Buffer.from(`*${args.length}\r\n`)];
+
+  for (const arg of args) {
+    const value = Buffer.from(String(arg));
+    parts.push(Buffer.from(`$${value.length}\r\n`), value, Buffer.from("\r\n"));
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Parses one RESP reply starting at `offset`.
+ *
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @returns {{ value: any, offset: number } | null}
+ *   The reply and the offset right after it, or `null` when the buffer does
+ *   not hold the full reply yet. Error replies are returned as `Error` values.
+ */
+function parseReply(buffer, offset) {
+  const lineEnd = buffer.indexOf("\r\n", offset);
+  if (lineEnd === -1) return null;
+
+  const type = String.fromCharCode(buffer[offset]);
+  const line = buffer.toString("utf-8", offset + 1, lineEnd);
+  const next = lineEnd + 2;
+
+  switch (type) {
+    case "+":
+      return { value: line, offset: next };
+    case "-":
+      return { value: new Error(line), offset: next };
+    case ":":
+      return { value: Number(line), offset: next };
+    case "$": {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+      if (buffer.length < next + length + 2) return null;
+      return { value: buffer.toString("utf-8", next, next + length), offset: next + length + 2 };
+    }
+    case "*": {
+      const length = Number(line);
+      if (length === -1) return { value: null, offset: next };
+
+      const items = [];
+      let itemOffset = next;
+      for (let i = 0; i < length; i++) {
+        const item = parseReply(buffer, itemOffset);
+        if (!item) return null;
+        items.push(item.value);
+        itemOffset = item.offset;
+      }
+      return { value: items, offset: itemOffset };
+    }
+    default:
+      throw new Error(`Unexpected reply from cache server: "${type}${line}"`);
+  }
+}
+
+/**
+ * Creates a lazily connected client. Commands are pipelined over a single
+ * socket and answered in order; if the connection drops, pending commands
+ * fail and the next command reconnects.
+ *
+ * @param {string} url
+ * @returns {{ command: (...args: Array<string | number>) => Promise<any>, close: () => Promise<void> }}
+ */
+function createRedisClient(url) {
+  const { protocol, hostname, port, username, password, pathname } = new URL(url);
+  const database = Number(pathname.slice(1)) || 0;
+
+  let socket = null;
+  let buffer = Buffer.alloc(0);
+  /** @type {Array<{ resolve: Function, reject: Function }>} */
+  let pending = [];
+
+  const failPending = (error) => {
+    const failed = pending;
+    pending = [];
+    socket = null;
+    buffer = Buffer.alloc(0);
+    failed.forEach(({ reject }) => reject(error));
+  };
+
+  const onData = (chunk) => {
+    buffer = Buffer.concat([buffer, chunk]);
+
+    let offset = 0;
+    let reply;
+    while (pending.length > 0 && (reply = parseReply(buffer, offset))) {
+      offset = reply.offset;
+      const { resolve, reject } = pending.shift();
+      if (reply.value instanceof Error) reject(reply.value);
+      else resolve(reply.value);
+    }
+
+    buffer = buffer.subarray(offset);
+  };
+
+  const send = (args) => new Promise((resolve, reject) => {
+    pending.push({ resolve, reject });
+    socket.write(encodeCommand(args));
+  });
+
+  const connect = () => {
+    const options = { host: hostname || "127.0.0.1", port: Number(port) || 6379 };
+    const current = protocol === "rediss:"
+      ? tls.connect({ ...options, servername: options.host })
+      : net.connect(options);
+    socket = current;
+
+    // Events of a socket that was already replaced (e.g. `close` right after
+    // `error`) must not touch the commands of the new one.
+    const isCurrent = () => current === socket;
+
+    current.setNoDelay(true);
+    current.setTimeout(CONNECT_TIMEOUT, () => {
+      current.destroy(new Error(`Timed out connecting to cache server ${options.host}:${options.port}`));
+    });
+    current.once(protocol === "rediss:" ? "secureConnect" : "connect", () => current.setTimeout(0));
+    current.on("data", (chunk) => {
+      if (isCurrent()) onData(chunk);
+    });
+    current.on("error", (error) => {
+      if (isCurrent()) failPending(error);
+    });
+    current.on("close", () => {
+      if (isCurrent()) failPending(new Error("Connection to cache server closed"));
+    });
+
+    // Queued ahead of the first command, so they run before it.
+    if (password) {
+      const auth = username
+        ? ["AUTH", decodeURIComponent(username), decodeURIComponent(password)]
+        : ["AUTH", decodeURIComponent(password)];
+      send(auth).catch(() => {});
+    }
+    if (database) {
+      send(["SELECT", database]).catch(() => {});
+    }
+  };
+
+  return {
+    command(...args) {
+      if (!socket) connect();
+      return send(args);
+    },
+    async close() {
+      if (!socket) return;
+      await send(["QUIT"]).catch(() => {});
+      socket?.destroy();
+      socket = null;
+    },
+  };
+}
+
+/**
+ * Escapes glob characters so `prefix` matches literally in SCAN MATCH.
+ *
+ * @param {string} prefix
+ * @returns {string}
+ */
+const escapeGlob = (prefix) => prefix.replace(/[*?[\]\\]/g, "\\$&");
+
+/**
+ * Creates the `redis` ISR cache store.
+ *
+ * @param {{ url: string, prefix?: string }} options
+ * @returns {import("./cache-store.js").CacheStore & { close: () => Promise<void> }}
+ */
+export function createRedisStore({ url, prefix = "" }) {
+  const client = createRedisClient(url);
+
+  return {
+    async get(key) {
+      const value = await client.command("GET", prefix + key);
+      return value === null ? null : JSON.parse(value);
+    },
+    async set(key, entry) {
+      await client.command("SET", prefix + key, JSON.stringify(entry));
+    },
+    async delete(key) {
+      await client.command("DEL", prefix + key);
+    },
+    async keys() {
+      const keys = [];
+      let cursor = "0";
+
+      do {
+        const [nextCursor, batch] = await client.command(
+          "SCAN", cursor, "MATCH", `${escapeGlob(prefix)}*`, "COUNT", SCAN_COUNT
+        );
+        cursor = nextCursor;
+        keys.push(...batch.map((key) => key.slice(prefix.length)));
+      } while (cursor !== "0");
+
+      return [...new Set(keys)];
+    },
+    close: () => client.close(),
+  };
+}
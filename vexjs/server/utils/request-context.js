@@ -0,0 +1,378 @@
+import { AsyncLocalStorage } from "async_hooks";
+
+/**
+ * Request-scoped response API for server scripts.
+ *
+ * `getData`, `getMetadata`, actions and middlewares can set cookies, response
+ * headers and the status code without touching `res`:
+ *
+ *   async function getData({ req }) {
+ *     cookies().set("visited", "1", { maxAge: 86400000 });
+ *     headers().set("Cache-Control", "private, max-age=60");
+ *     if (!post.published) setStatus(410);
+ *     return { post };
+ *   }
+ *
+ * Values are buffered per request and applied by the router right before the
+ * first byte of the page is written — the same for plain, streamed and ISR
+ * responses. Once the response has started, later changes are ignored with a
+ * warning (e.g. from a Suspense component streamed after the shell).
+ *
+ * `cacheTag()` labels the render for tag-based revalidation. Tags are not
+ * sent to the client, so they can be added until the page finishes
+ * streaming.
+ *
+ * `cookies`, `headers`, `setStatus` and `cacheTag` are automatically
+ * available in every server script — no import needed.
+ */
+
+/**
+ * @typedef {Object} ResponseState
+ * @property {import("express").Request | null} req - Request being rendered.
+ * @property {number | null} status - Status set with `setStatus()`.
+ * @property {Map<string, { name: string, value: string | string[] }>} headers -
+ *   Pending response headers, keyed by lower-cased name.
+ * @property {Map<string, { value: string, options: object, deleted: boolean }>} cookies -
+ *   Pending cookies, keyed by name.
+ * @property {Set<string>} tags - Cache tags added with `cacheTag()` or `metadata.tags`.
+ * @property {{ headers: Map<string, { name: string, value: string | string[] }>, cookies: Map<string, { value: string, options: object, deleted: boolean }> } | null} pageStart -
+ *   Headers and cookies set before the page started (by middlewares), see
+ *   `markPageStart()`.
+ * @property {boolean} committed - `true` once the response started.
+ */
+
+/** @type {AsyncLocalStorage<ResponseState>} */
+const responseStorage = new AsyncLocalStorage();
+
+/**
+ * Creates an empty response state.
+ *
+ * @param {import("express").Request | null} [req=null]
+ * @returns {ResponseState}
+ */
+function createResponseState(req = null) {
+  return {
+    req,
+    status: null,
+    headers: new Map(),
+    cookies: new Map(),
+    tags: new Set(),
+    pageStart: null,
+    committed: false,
+  };
+}
+
+/**
+ * Returns the state of the request being rendered. Outside one (e.g. code
+ * run while a module is being loaded) a detached state is returned, so server
+ * scripts can call the API unconditionally — the values are simply discarded.
+ *
+ * @returns {ResponseState}
+ */
+function getResponseState() {
+  return responseStorage.getStore() ?? createResponseState();
+}
+
+/**
+ * Warns when a value is set after the response started.
+ *
+ * @param {ResponseState} state
+ * @param {string} what - Description of the ignored change.
+ * @returns {boolean} `true` when the change must be ignored.
+ */
+function isCommitted(state, what) {
+  if (!state.committed) return false;
+
+  console.warn(`[vex] ${what} ignored — the response has already started`);
+  return true;
+}
+
+/**
+ * Parses the request `Cookie` header.
+ *
+ * @param {string | undefined} cookieHeader
+ * @returns {Record<string, string>}
+ */
+function parseCookieHeader(cookieHeader) {
+  const parsed = {};
+  if (!cookieHeader) return parsed;
+
+  for (const pair of cookieHeader.split(";")) {
+    const separatorIndex = pair.indexOf("=");
+    if (separatorIndex === -1) continue;
+
+    const name = pair.slice(0, separatorIndex).trim();
+    const value = pair.slice(separatorIndex + 1).trim().replace(/^"(.*)"$/, "$1");
+    if (!name || name in parsed) continue;
+
+    try {
+      parsed[name] = decodeURIComponent(value);
+    } catch {
+      parsed[name] = value;
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Runs `fn` with a fresh response state bound to `req`. Every `cookies()`,
+ * `headers()` and `setStatus()` call made while `fn` runs — including from
+ * async work it starts — writes to that state.
+ *
+ * A request re-dispatched by `rewrite()` keeps its state, so values set by
+ * the middleware that rewrote it are not lost.
+ *
+ * @template T
+ * @param {import("express").Request | null} req
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function runWithResponseState(req, fn) {
+  const current = responseStorage.getStore();
+  if (current && current.req === req && !current.committed) return fn();
+
+  return responseStorage.run(createResponseState(req), fn);
+}
+
+/**
+ * Cookies of the current request.
+ *
+ * Reads come from the request `Cookie` header, overridden by cookies set or
+ * deleted during this render. Writes use Express `res.cookie()` options.
+ *
+ * @returns {{
+ *   get: (name: string) => string | undefined,
+ *   has: (name: string) => boolean,
+ *   getAll: () => Record<string, string>,
+ *   set: (name: string, value: string, options?: import("express").CookieOptions) => void,
+ *   delete: (name: string, options?: import("express").CookieOptions) => void,
+ * }}
+ *
+ * @example
+ * const theme = cookies().get("theme") ?? "light";
+ * cookies().set("theme", "dark", { httpOnly: true, sameSite: "lax" });
+ * cookies().delete("session");
+ */
+export function cookies() {
+  const state = getResponseState();
+
+  const getAll = () => {
+    const all = parseCookieHeader(state.req?.headers?.cookie);
+    for (const [name, { value, deleted }] of state.cookies) {
+      if (deleted) delete all[name];
+      else all[name] = value;
+    }
+    return all;
+  };
+
+  return {
+    get: (name) => getAll()[name],
+    has: (name) => name in getAll(),
+    getAll,
+    set(name, value, options = {}) {
+      if (isCommitted(state, `cookies().set("${name}")`)) return;
+      state.cookies.set(name, { value: String(value), options, deleted: false });
+    },
+    delete(name, options = {}) {
+      if (isCommitted(state, `cookies().delete("${name}")`)) return;
+      state.cookies.set(name, { value: "", options, deleted: true });
+    },
+  };
+}
+
+/**
+ * Response headers of the current request.
+ *
+ * @returns {{
+ *   get: (name: string) => string | string[] | undefined,
+ *   has: (name: string) => boolean,
+ *   set: (name: string, value: string | number | string[]) => void,
+ *   append: (name: string, value: string) => void,
+ *   delete: (name: string) => void,
+ * }}
+ *
+ * @example
+ * headers().set("Cache-Control", "private, max-age=60");
+ * headers().append("Vary", "Accept-Language");
+ */
+export function headers() {
+  const state = getResponseState();
+
+  return {
+    get: (name) => state.headers.get(name.toLowerCase())?.value,
+    has: (name) => state.headers.has(name.toLowerCase()),
+    set(name, value) {
+      if (isCommitted(state, `headers().set("${name}")`)) return;
+      state.headers.set(name.toLowerCase(), {
+        name,
+        value: Array.isArray(value) ? value.map(String) : String(value),
+      });
+    },
+    append(name, value) {
+      if (isCommitted(state, `headers().append("${name}")`)) return;
+      const key = name.toLowerCase();
+      const current = state.headers.get(key);
+      const values = current ? [current.value, String(value)].flat() : String(value);
+      state.headers.set(key, { name: current?.name ?? name, value: values });
+    },
+    delete(name) {
+      if (isCommitted(state, `headers().delete("${name}")`)) return;
+      state.headers.delete(name.toLowerCase());
+    },
+  };
+}
+
+/**
+ * Sets the status code of the current page response.
+ *
+ * @param {number} statusCode - HTTP status code (100–599).
+ * @throws {RangeError} When the status code is not valid.
+ *
+ * @example
+ * if (!post.published) setStatus(410);
+ */
+export function setStatus(statusCode) {
+  if (!Number.isInteger(statusCode) || statusCode < 100 || statusCode > 599) {
+    throw new RangeError(`setStatus() expects an HTTP status code, received ${statusCode}`);
+  }
+
+  const state = getResponseState();
+  if (isCommitted(state, `setStatus(${statusCode})`)) return;
+  state.status = statusCode;
+}
+
+/**
+ * Tags the page being rendered, so `revalidateTag(tag)` marks its ISR entry
+ * stale. Accepts any number of tags, or arrays of tags.
+ *
+ * @param {...(string | string[])} tags
+ *
+ * @example
+ * async function getData({ req }) {
+ *   const article = await cms.getArticle(req.params.id);
+ *   cacheTag(`article:${article.id}`, "articles");
+ *   return { article };
+ * }
+ */
+export function cacheTag(...tags) {
+  const state = getResponseState();
+
+  for (const tag of tags.flat()) {
+    if (tag === undefined || tag === null || tag === "") continue;
+    state.tags.add(String(tag));
+  }
+}
+
+/**
+ * Request being rendered, if any.
+ *
+ * @returns {import("express").Request | null}
+ */
+export function getCurrentRequest() {
+  return responseStorage.getStore()?.req ?? null;
+}
+
+/**
+ * Cache tags collected during the current request.
+ *
+ * @returns {string[]}
+ */
+export function getPendingTags() {
+  return [...(responseStorage.getStore()?.tags ?? [])];
+}
+
+/**
+ * Status code set with `setStatus()` during the current request, if any.
+ *
+ * @returns {number | null}
+ */
+export function getPendingStatus() {
+  return responseStorage.getStore()?.status ?? null;
+}
+
+/**
+ * Marks the point where the page starts — its action and render — after the
+ * middlewares ran. What the page sets from here on can be discarded with
+ * `resetPendingResponse()` and is what `getPendingHeaders()` returns.
+ */
+export function markPageStart() {
+  const state = responseStorage.getStore();
+  if (!state) return;
+
+  state.pageStart = {
+    headers: new Map(state.headers),
+    cookies: new Map(state.cookies),
+  };
+}
+
+/**
+ * Discards what the page set — the status, and the headers and cookies set
+ * after `markPageStart()` — when it is replaced by a not-found or error page,
+ * so e.g. a public `Cache-Control` or a `Set-Cookie` does not reach that
+ * response. Values set by middlewares are kept.
+ */
+export function resetPendingResponse() {
+  const state = responseStorage.getStore();
+  if (!state) return;
+
+  state.status = null;
+  if (state.pageStart) {
+    state.headers = new Map(state.pageStart.headers);
+    state.cookies = new Map(state.pageStart.cookies);
+  }
+}
+
+/**
+ * Tells whether cookies were set or deleted during the current request.
+ * Such renders hold per-visitor state and must not be stored in the ISR cache.
+ *
+ * @returns {boolean}
+ */
+export function hasPendingCookies() {
+  return (responseStorage.getStore()?.cookies.size ?? 0) > 0;
+}
+
+/**
+ * Response headers the page set during the current request, as a plain
+ * object (original header names as keys). Stored with ISR entries so cache
+ * hits are sent with the headers of the render that produced them.
+ *
+ * Headers set by middlewares before `markPageStart()` — and left unchanged
+ * by the page — belong to that one request and are not included.
+ *
+ * @returns {Record<string, string | string[]>}
+ */
+export function getPendingHeaders() {
+  const state = responseStorage.getStore();
+  if (!state) return {};
+
+  const before = state.pageStart?.headers;
+  return Object.fromEntries(
+    [...state.headers]
+      .filter(([key, header]) => before?.get(key) !== header)
+      .map(([, { name, value }]) => [name, value])
+  );
+}
+
+/**
+ * Writes the buffered headers and cookies to `res` and marks the response as
+ * started. Must be called right before the first byte is written.
+ *
+ * @param {import("express").Response} res
+ */
+export function commitResponseState(res) {
+  const state = responseStorage.getStore();
+  if (!state || state.committed) return;
+
+  for (const { name, value } of state.headers.values()) {
+    res.setHeader(name, value);
+  }
+
+  for (const [name, { value, options, deleted }] of state.cookies) {
+    if (deleted) res.clearCookie(name, options);
+    else res.cookie(name, value, options);
+  }
+
+  state.committed = true;
+}
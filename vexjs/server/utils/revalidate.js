@@ -0,0 +1,335 @@
+import crypto from "crypto";
+import {
+  getRevalidateSeconds,
+  listCachedComponentPaths,
+  revalidateCachedComponentHtml,
+  revalidateTag,
+} from "./cache.js";
+import { parsePageCacheKey } from "./cache-key.js";
+import { regeneratePage } from "./router.js";
+
+/**
+ * On-demand ISR revalidation endpoint (`POST /revalidate`).
+ *
+ * Requests must carry the secret from the `VEX_REVALIDATE_SECRET` environment
+ * variable as a bearer token. Without that variable the endpoint is disabled.
+ *
+ * @example
+ * POST /revalidate
+ * Authorization: Bearer <VEX_REVALIDATE_SECRET>
+ * Content-Type: application/json
+ *
+ * { "paths": ["/blog/42"], "prefixes": ["/docs"], "tags": ["article:42"], "regenerate": true }
+ *
+ * → 200
+ * {
+ *   "regenerate": true,
+ *   "results": [
+ *     { "path": "/blog/42", "status": "regenerated" },
+ *     { "path": "/docs/intro", "status": "regenerated" },
+ *     { "path": "/docs/old", "status": "failed", "error": "..." }
+ *   ],
+ *   "tags": [{ "tag": "article:42", "pages": ["/blog/42"], "data": 1 }]
+ * }
+ */
+
+/**
+ * Status of each path in the report:
+ *   - `stale`        Marked stale, regenerates on its next request.
+ *   - `regenerated`  Rendered and stored right away (`regenerate: true`).
+ *   - `skipped`      Nothing to do — see `reason`.
+ *   - `failed`       Revalidation threw — see `error`.
+ *
+ * A page cached once per request value (`metadata.cacheKey`) has one entry
+ * per variant: all of them are marked stale, and `variants` counts the ones
+ * besides the plain path. `regenerate` renders the plain path only; it is
+ * marked stale too, and stays so when its render is `skipped` or `failed`.
+ *
+ * @typedef {{
+ *   path: string,
+ *   status: "stale" | "regenerated" | "skipped" | "failed",
+ *   reason?: string,
+ *   error?: string,
+ *   variants?: number,
+ * }} RevalidationResult
+ */
+
+/**
+ * Tells whether the request carries the configured secret. Digests are
+ * compared so the check takes the same time whatever the token length.
+ *
+ * @param {import("express").Request} req
+ * @param {string} secret
+ * @returns {boolean}
+ */
+function hasValidSecret(req, secret) {
+  const [scheme, token] = (req.headers.authorization ?? "").split(" ");
+  if (scheme !== "Bearer" || !token) return false;
+
+  const digest = (value) => crypto.createHash("sha256").update(value).digest();
+  return crypto.timingSafeEqual(digest(token), digest(secret));
+}
+
+/**
+ * Validates the request body.
+ *
+ * @param {unknown} body
+ * @returns {{ error: string } | {
+ *   paths: string[],
+ *   prefixes: string[],
+ *   tags: string[],
+ *   regenerate: boolean,
+ * }}
+ */
+function parseRevalidationBody(body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "Expected a JSON body" };
+  }
+
+  const { paths = [], prefixes = [], tags = [], regenerate = false } = body;
+
+  const isStringList = (value) => Array.isArray(value) && value.every((item) => typeof item === "string" && item);
+  if (!isStringList(paths) || !isStringList(prefixes) || !isStringList(tags)) {
+    return { error: "'paths', 'prefixes' and 'tags' must be arrays of non-empty strings" };
+  }
+
+  const invalidPath = [...paths, ...prefixes].find((value) => !value.startsWith("/"));
+  if (invalidPath) {
+    return { error: `Paths must start with '/': '${invalidPath}'` };
+  }
+
+  if (typeof regenerate !== "boolean") {
+    return { error: "'regenerate' must be a boolean" };
+  }
+
+  if (paths.length + prefixes.length + tags.length === 0) {
+    return { error: "Nothing to revalidate: pass 'paths', 'prefixes' or 'tags'" };
+  }
+
+  return { paths, prefixes, tags, regenerate };
+}
+
+/**
+ * Tells whether a cached path is `prefix` itself or below it — `/blog`
+ * matches `/blog` and `/blog/42`, not `/blogroll`.
+ *
+ * @param {string} cachedPath
+ * @param {string} prefix
+ * @returns {boolean}
+ */
+function isUnderPrefix(cachedPath, prefix) {
+  const base = prefix.replace(/\/+$/, "");
+  return base === "" || cachedPath === base || cachedPath.startsWith(`${base}/`);
+}
+
+/**
+ * Groups cache keys by page path, so revalidating `/products` reaches every
+ * variant of it (`/products?query:page=2`, …).
+ *
+ * @param {string[]} cacheKeys
+ * @returns {Map<string, string[]>}
+ */
+function groupCacheKeysByPath(cacheKeys) {
+  const keysByPath = new Map();
+
+  for (const cacheKey of cacheKeys) {
+    const { path } = parsePageCacheKey(cacheKey);
+    keysByPath.set(path, [...(keysByPath.get(path) ?? []), cacheKey]);
+  }
+
+  return keysByPath;
+}
+
+/**
+ * Converts an Express route path (`:id`, `*slug`, `{/*slug}`) into a regex
+ * and the names of its params.
+ *
+ * @param {string} serverPath
+ * @returns {{ regex: RegExp, keys: Array<{ name: string, catchAll: boolean }> }}
+ */
+function compileServerPath(serverPath) {
+  const keys = [];
+  const pattern = serverPath
+    .replace(/[.+?^$()|[\]\\]/g, "\\$&")
+    .replace(/\{\/\*(\w+)\}|\*(\w+)|:(\w+)/g, (match, optionalName, catchAllName, name) => {
+      if (optionalName) {
+        keys.push({ name: optionalName, catchAll: true });
+        return "(?:/(.+))?";
+      }
+      keys.push({ name: catchAllName ?? name, catchAll: Boolean(catchAllName) });
+      return catchAllName ? "(.+)" : "([^/]+)";
+    });
+
+  return { regex: new RegExp(`^${pattern}/?$`), keys };
+}
+
+/**
+ * Finds the page route serving `urlPath` and its params. Routes are already
+ * ranked (static before dynamic before catch-all), so the first match wins.
+ *
+ * @param {Array<{ serverPath: string, isNotFound: boolean }>} routes
+ * @param {string} urlPath
+ * @returns {{ route: object, params: Record<string, string | string[]> } | null}
+ */
+export function matchServerRoute(routes, urlPath) {
+  for (const route of routes) {
+    if (route.isNotFound) continue;
+
+    const { regex, keys } = compileServerPath(route.serverPath);
+    const match = urlPath.match(regex);
+    if (!match) continue;
+
+    const params = {};
+    keys.forEach(({ name, catchAll }, i) => {
+      const value = match[i + 1];
+      if (value === undefined) return;
+      params[name] = catchAll
+        ? value.split("/").map(decodeURIComponent)
+        : decodeURIComponent(value);
+    });
+
+    return { route, params };
+  }
+
+  return null;
+}
+
+/**
+ * Renders one path right away and stores it in the ISR cache.
+ *
+ * @param {Array<object>} routes
+ * @param {string} urlPath
+ * @returns {Promise<RevalidationResult>}
+ */
+async function regeneratePath(routes, urlPath) {
+  const matched = matchServerRoute(routes, urlPath);
+  if (!matched || getRevalidateSeconds(matched.route.meta?.revalidate ?? 0) === 0) {
+    return { path: urlPath, status: "skipped", reason: "No ISR page matches this path" };
+  }
+
+  const { fallback, staticPaths = [] } = matched.route.meta;
+  if (fallback === "static-only" && !staticPaths.includes(urlPath)) {
+    return { path: urlPath, status: "skipped", reason: "Not one of the page's static paths" };
+  }
+
+  const stored = await regeneratePage(matched.route, urlPath, matched.params);
+  return stored
+    ? { path: urlPath, status: "regenerated" }
+    : { path: urlPath, status: "skipped", reason: "The render set cookies or a status and was not cached" };
+}
+
+/**
+ * Error handler of `POST /revalidate` for bodies `express.json()` rejects
+ * (malformed JSON, too large…): answers with JSON like the other errors of
+ * the endpoint instead of Express's default HTML page.
+ *
+ * @param {Error & { status?: number, type?: string }} error
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {import("express").NextFunction} next
+ * @returns {void}
+ */
+export function handleRevalidateBodyError(error, req, res, next) {
+  // body-parser errors carry a `type` (e.g. `entity.parse.failed`) and a status.
+  if (typeof error.type !== "string" || !error.status) {
+    next(error);
+    return;
+  }
+
+  res.setHeader("Cache-Control", "no-store");
+  res.status(error.status).json({ error: `Invalid request body: ${error.message}` });
+}
+
+/**
+ * Handles `POST /revalidate`: marks the requested pages stale, or
+ * regenerates them right away with `regenerate: true`, and answers with a
+ * per-path report.
+ *
+ * Paths are processed one at a time so a large batch does not render every
+ * page at once.
+ *
+ * @async
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {Array<object>} routes - Server page routes, used to render regenerated paths.
+ * @returns {Promise<void>}
+ */
+export async function handleRevalidate(req, res, routes) {
+  res.setHeader("Cache-Control", "no-store");
+
+  const secret = process.env.VEX_REVALIDATE_SECRET;
+  if (!secret) {
+    res.status(403).json({ error: "Revalidation is disabled: set VEX_REVALIDATE_SECRET" });
+    return;
+  }
+
+  if (!hasValidSecret(req, secret)) {
+    res.setHeader("WWW-Authenticate", "Bearer");
+    res.status(401).json({ error: "Invalid or missing revalidation token" });
+    return;
+  }
+
+  const body = parseRevalidationBody(req.body);
+  if (body.error) {
+    res.status(400).json({ error: body.error });
+    return;
+  }
+
+  const { paths, prefixes, tags, regenerate } = body;
+
+  try {
+    // Tagged pages are already stale once revalidateTag() returns.
+    const tagReports = [];
+    const staleByTag = new Set();
+    for (const tag of tags) {
+      const { pages, data } = await revalidateTag(tag);
+      tagReports.push({ tag, pages, data });
+      pages.forEach((page) => staleByTag.add(parsePageCacheKey(page).path));
+    }
+
+    const cachedKeys = paths.length + prefixes.length > 0 ? await listCachedComponentPaths() : [];
+    const keysByPath = groupCacheKeysByPath(cachedKeys);
+    const targets = new Set([
+      ...paths,
+      ...[...keysByPath.keys()].filter((cachedPath) => prefixes.some((prefix) => isUnderPrefix(cachedPath, prefix))),
+      ...staleByTag,
+    ]);
+
+    /** @type {RevalidationResult[]} */
+    const results = [];
+    for (const target of targets) {
+      try {
+        const variantKeys = (keysByPath.get(target) ?? []).filter((cacheKey) => cacheKey !== target);
+        const staleVariants = (await Promise.all(variantKeys.map(revalidateCachedComponentHtml))).filter(Boolean).length;
+        const variants = staleVariants > 0 ? { variants: staleVariants } : {};
+
+        if (regenerate) {
+          // Stale first, so the old entry is not served as fresh when the
+          // render fails or is not stored.
+          await revalidateCachedComponentHtml(target);
+          results.push({ ...await regeneratePath(routes, target), ...variants });
+        } else if (staleByTag.has(target) || await revalidateCachedComponentHtml(target) || staleVariants > 0) {
+          results.push({ path: target, status: "stale", ...variants });
+        } else {
+          results.push({ path: target, status: "skipped", reason: "Not cached" });
+        }
+      } catch (error) {
+        if (error.notFound || error.redirect) {
+          const reason = error.notFound
+            ? "The page called notFound()"
+            : `The page redirects to ${error.redirect.path}`;
+          results.push({ path: target, status: "skipped", reason });
+          continue;
+        }
+
+        console.error(`[ISR] Revalidation failed for ${target}:`, error);
+        results.push({ path: target, status: "failed", error: error.message });
+      }
+    }
+
+    res.status(200).json({ regenerate, results, tags: tagReports });
+  } catch (error) {
+    console.error("Error revalidating cache:", error);
+    res.status(500).json({ error: "Failed to revalidate cache" });
+  }
+}
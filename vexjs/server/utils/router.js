@@ -1,10 +1,44 @@
 import {
   renderSuspenseComponent,
   generateReplacementContent,
+  resolveStreamedHtml,
 } from "./streaming.js";
-import { getCachedComponentHtml, getRevalidateSeconds, revalidateCachedComponentHtml, saveCachedComponentHtml } from "./cache.js";
-import { getPagePath } from "./files.js";
-import { renderPageWithLayout } from "./component-processor.js";
+import { getCachedComponentHtml, getRevalidateSeconds, saveCachedComponentHtml } from "./cache.js";
+import { getPageCacheKey, getVaryHeaders, parseCacheKey } from "./cache-key.js";
+import crypto from "crypto";
+import path from "path";
+import { pathToFileURL } from "url";
+import {
+  getPagePath,
+  getErrorBoundaryPath,
+  getLoadingBoundaryPath,
+  getNotFoundPagePath,
+  PAGES_DIR,
+  PROJECT_ROOT,
+} from "./files.js";
+import {
+  getPagePreloadLinks,
+  notFound,
+  processHtmlFile,
+  renderErrorBoundary,
+  renderLoadingShell,
+  renderPage,
+  renderPageWithLayout,
+} from "./component-processor.js";
+import { runMiddlewares, dispatchRewrite } from "./middleware.js";
+import { getGuardRedirect } from "./auth.js";
+import { runPageAction } from "./actions.js";
+import {
+  commitResponseState,
+  getPendingHeaders,
+  headers,
+  getPendingStatus,
+  getPendingTags,
+  hasPendingCookies,
+  resetPendingResponse,
+  markPageStart,
+  runWithResponseState,
+} from "./request-context.js";
 
 /**
  * Routes currently being regenerated in the background.
@@ -29,27 +63,111 @@ const FALLBACK_ERROR_HTML = `
 `;
 
 /**
- * Sends HTML response
+ * Sets the given headers, then the ones buffered with `headers()` /
+ * `cookies()` during the render, which take precedence.
+ * @param {import("http").ServerResponse} res
+ * @param {Record<string, string | string[]>} responseHeaders
+ */
+const setResponseHeaders = (res, responseHeaders) => {
+  for (const [name, value] of Object.entries(responseHeaders)) {
+    res.setHeader(name, value);
+  }
+  commitResponseState(res);
+};
+
+/**
+ * Sends HTML response. Answers `304 Not Modified` without a body when the
+ * request's `If-None-Match` / `If-Modified-Since` match the `ETag` /
+ * `Last-Modified` headers of the response.
  * @param {import("http").ServerResponse} res
  * @param {number} statusCode
  * @param {string} html
+ * @param {Record<string, string | string[]>} [responseHeaders={}] - Caching headers, and headers stored with an ISR entry.
  */
-const sendResponse = (res, statusCode, html) => {
-  res.writeHead(statusCode, { "Content-Type": "text/html" });
+const sendResponse = (res, statusCode, html, responseHeaders = {}) => {
+  setResponseHeaders(res, { "Content-Type": "text/html", ...responseHeaders });
+
+  // req.fresh compares the conditional headers against the response headers
+  // set above, for GET/HEAD requests with a 2xx status.
+  res.statusCode = statusCode;
+  if (res.req?.fresh) {
+    res.writeHead(304);
+    res.end();
+    return;
+  }
+
+  res.writeHead(statusCode);
   res.end(html);
 };
 
+/**
+ * `Cache-Control` of pages rendered per request, or that set cookies or a
+ * status: only the browser may keep them, and must ask again every time.
+ */
+const PRIVATE_CACHE_CONTROL = "private, no-cache, no-store, max-age=0, must-revalidate";
+
+/**
+ * Default `Cache-Control` of a page, per rendering strategy:
+ *   - SSR  `private, no-cache, …` — rendered for each request.
+ *   - ISR  `s-maxage=<revalidate>, stale-while-revalidate` — shared caches
+ *          (CDNs) keep the page as long as the server does, and may serve it
+ *          stale while they fetch the regenerated one.
+ *   - SSG  `s-maxage=31536000, stale-while-revalidate` — until the next deploy
+ *          or on-demand revalidation.
+ *
+ * @param {number} revalidateSeconds - Result of `getRevalidateSeconds`, `0` for SSR.
+ * @returns {string}
+ */
+function getDefaultCacheControl(revalidateSeconds) {
+  if (revalidateSeconds === 0) return PRIVATE_CACHE_CONTROL;
+  if (revalidateSeconds === -1) return "s-maxage=31536000, stale-while-revalidate";
+  return `s-maxage=${revalidateSeconds}, stale-while-revalidate`;
+}
+
+/**
+ * @param {string | false | null} cacheControl
+ * @returns {Record<string, string>} The `Cache-Control` header, or nothing when disabled.
+ */
+const getCacheControlHeader = (cacheControl) => cacheControl ? { "Cache-Control": cacheControl } : {};
+
+/**
+ * Validators of a complete HTML response: an `ETag` computed from the body
+ * and, for pages served from or stored in the ISR cache, `Last-Modified`.
+ *
+ * The `ETag` is weak: it is computed before `compression()` picks an
+ * encoding, and the same value goes out on the br, gzip and identity
+ * responses, which a strong validator must not do.
+ *
+ * @param {string} html
+ * @param {number | null} [generatedAt=null] - When the cached page was rendered (ms).
+ * @returns {Record<string, string>}
+ */
+function getValidatorHeaders(html, generatedAt = null) {
+  const validators = {
+    ETag: `W/"${crypto.createHash("sha256").update(html).digest("base64url").slice(0, 27)}"`,
+  };
+
+  if (generatedAt) {
+    validators["Last-Modified"] = new Date(generatedAt).toUTCString();
+  }
+
+  return validators;
+}
+
 /**
  * Start stream response, sending html and update html chunks
  * @param {import("http").ServerResponse} res
  * @param {string[]} htmlChunks
+ * @param {Record<string, string>} [responseHeaders={}] - Caching headers.
  */
-const sendStartStreamChunkResponse = (res, statusCode, html, htmlChunks) => {
-  res.writeHead(statusCode, {
+const sendStartStreamChunkResponse = (res, statusCode, html, htmlChunks, responseHeaders = {}) => {
+  setResponseHeaders(res, {
     "Content-Type": "text/html; charset=utf-8",
     "Transfer-Encoding": "chunked",
     "X-Content-Type-Options": "nosniff",
+    ...responseHeaders,
   });
+  res.writeHead(statusCode);
   sendStreamChunkResponse(res, html, htmlChunks)
 };
 
@@ -125,6 +243,9 @@ const endStreamResponse = (res, htmlChunks) => {
  * @param {boolean} params.route.meta.requiresAuth
  *   Indicates if authentication is required.
  *
+ * @param {boolean} params.route.meta.guestOnly
+ *   Indicates if the page is only for anonymous visitors.
+ *
  * @param {number} params.route.meta.revalidate
  *   ISR revalidation interval in seconds. A value > 0 enables ISR.
  *
@@ -139,23 +260,129 @@ const endStreamResponse = (res, htmlChunks) => {
  * Re-renders a stale ISR page and saves the result to cache without sending
  * any HTTP response.
  *
- * Renders with `awaitSuspenseComponents = true` so all Suspense boundaries
- * are resolved synchronously and the full HTML is available in one pass.
- *
  * @param {string} pagePath    - Absolute path to the page .html file.
  * @param {object} context     - Request context (provides req.params for getData).
- * @param {string} cacheKey    - Normalised pathname used as the ISR cache key.
+ * @param {string} cacheKey    - ISR cache key (pathname and `metadata.cacheKey` variant).
+ * @param {boolean} streamSuspense - `metadata.suspenseCache` is `"stream"`.
  */
-async function revalidateInBackground(pagePath, context, cacheKey) {
+async function revalidateInBackground(pagePath, context, cacheKey, streamSuspense) {
   try {
-    // awaitSuspenseComponents=true resolves all suspense boundaries synchronously
-    // so we get the complete HTML in a single renderPageWithLayout call.
-    const { html } = await renderPageWithLayout(pagePath, context, true);
-    await saveCachedComponentHtml({ componentPath: cacheKey, html });
+    await renderToCache(pagePath, context, cacheKey, streamSuspense);
   } catch (error) {
     console.error(`[ISR] Background revalidation failed for ${cacheKey}:`, error.message);
   }
 }
+
+/**
+ * Renders a page with every Suspense boundary resolved — or as streamed, with
+ * `metadata.suspenseCache: "stream"` — and stores it in the ISR cache, unless
+ * the render is not cacheable (see `isCacheableRender`).
+ *
+ * Runs in its own response state: when regenerating after a request, that
+ * request has already been answered and its headers must not leak into the
+ * new entry.
+ *
+ * @param {string} pagePath
+ * @param {object} context
+ * @param {string} cacheKey
+ * @param {boolean} [streamSuspense=false] - Store the document as it would be
+ *   streamed (fallbacks and replacement payloads) instead of resolved.
+ * @returns {Promise<boolean>} `true` when the page was stored.
+ */
+function renderToCache(pagePath, context, cacheKey, streamSuspense = false) {
+  return runWithResponseState(context.req, async () => {
+    // Rendered as it would be streamed and resolved afterwards, so the entry
+    // is the same markup a streamed first visit stores.
+    const { html } = await renderStreamedDocument(pagePath, context);
+    if (!isCacheableRender()) return false;
+
+    await saveRenderedPage(cacheKey, streamSuspense ? html : resolveStreamedHtml(html));
+    return true;
+  });
+}
+
+/**
+ * Renders a page the way it is streamed — the shell with the Suspense
+ * fallbacks, then one replacement payload per boundary — without sending it.
+ *
+ * @param {string} pagePath
+ * @param {object} context
+ * @returns {Promise<{ html: string }>}
+ */
+async function renderStreamedDocument(pagePath, context) {
+  const { html, suspenseComponents, serverComponents } = await renderPageWithLayout(pagePath, context, false);
+  if (suspenseComponents.length === 0) return { html };
+
+  const payloads = await Promise.all(suspenseComponents.map(async (suspenseComponent) =>
+    generateReplacementContent(
+      suspenseComponent.id,
+      await renderSuspenseComponent(suspenseComponent, serverComponents)
+    )
+  ));
+
+  const [beforeClosing] = html.split("</body>");
+  return { html: beforeClosing + payloads.join("") + "</body></html>" };
+}
+
+/**
+ * Regenerates the ISR entry of a URL right away, outside of any request —
+ * used by the `/revalidate` endpoint. The page's middlewares do not run; its
+ * `getData` receives a request with the URL, the route params and no headers.
+ *
+ * @param {{ pageName: string }} route - Server route matching `urlPath`.
+ * @param {string} urlPath - Pathname to regenerate.
+ * @param {Record<string, string | string[]>} params - Route params of `urlPath`.
+ * @returns {Promise<boolean>} `true` when the page was stored.
+ */
+export async function regeneratePage(route, urlPath, params) {
+  const pagePath = getPagePath(route.pageName);
+  const req = {
+    method: "GET",
+    url: urlPath,
+    originalUrl: urlPath,
+    path: urlPath,
+    params,
+    query: {},
+    headers: {},
+  };
+
+  // With a `metadata.cacheKey` function, the plain request may still map to
+  // a variant key.
+  const { metadata } = await processHtmlFile(pagePath);
+  const cacheKey = getPageCacheKey(req, parseCacheKey(metadata?.cacheKey, pagePath));
+
+  return renderToCache(pagePath, { req }, cacheKey, metadata?.suspenseCache === "stream");
+}
+
+/**
+ * Stores a rendered page in the ISR cache together with the headers and
+ * cache tags (`metadata.tags`, `cacheTag()`) collected while rendering it.
+ *
+ * @param {string} cacheKey - ISR cache key (pathname and `metadata.cacheKey` variant).
+ * @param {string} html
+ * @returns {Promise<void>}
+ */
+function saveRenderedPage(cacheKey, html) {
+  return saveCachedComponentHtml({
+    componentPath: cacheKey,
+    html,
+    headers: getPendingHeaders(),
+    tags: getPendingTags(),
+  });
+}
+
+/**
+ * Tells whether the render that just finished can be stored in the ISR cache:
+ * it must not have changed the status (`setStatus()`) nor set cookies, which
+ * would otherwise be replayed to every visitor.
+ *
+ * @returns {boolean}
+ */
+function isCacheableRender() {
+  const pendingStatus = getPendingStatus();
+  return (pendingStatus === null || pendingStatus === 200) && !hasPendingCookies();
+}
+
 async function renderAndSendPage({
   pageName,
   statusCode = 200,
@@ -164,22 +391,53 @@ async function renderAndSendPage({
 }) {
   const pagePath = getPagePath(pageName);
   const revalidateSeconds = getRevalidateSeconds(route.meta?.revalidate ?? 0);
-  const isISR = revalidateSeconds !== 0;
+  // Only successful GET renders are cached — a 404 or 500 must not be served
+  // from the ISR cache once the page recovers (or for every unknown URL), and
+  // a page rendered after an action holds that submission's result.
+  const isISR = statusCode === 200 && context.req.method !== "POST" && revalidateSeconds !== 0;
+
+  // Result of the page action, when rendering after a form submission.
+  const extraComponentData = context.action ? { action: context.action } : {};
+
+  const { getData, metadata } = await processHtmlFile(pagePath);
+
+  // metadata.cacheKey — request values the page output depends on. Shared
+  // caches must keep one copy per value too, hence the Vary header.
+  const cacheKeySpec = parseCacheKey(metadata?.cacheKey, pagePath);
+  const varyHeaders = getVaryHeaders(cacheKeySpec);
+  if (varyHeaders.length > 0) headers().append("Vary", varyHeaders.join(", "));
+
+  const isrCacheKey = isISR ? getPageCacheKey(context.req, cacheKeySpec) : null;
+
+  // metadata.suspenseCache — a streamed first render is stored resolved, so
+  // cache hits get plain HTML, unless the page wants hits to replay the stream.
+  const streamSuspense = metadata?.suspenseCache === "stream";
+  const getCacheableHtml = (streamedHtml) => streamSuspense ? streamedHtml : resolveStreamedHtml(streamedHtml);
 
-  // Normalise the cache key to pathname only
-  // `context.req.url` includes the query string (e.g. `/page?debug=true`).
-  // Using the full URL as a cache key means `/page` and `/page?debug=true`
-  // generate two separate cache entries for the same page content.
-  const isrCacheKey = new URL(context.req.url, "http://x").pathname;
+  // metadata.cacheControl overrides the default policy; `false` sends none.
+  // Guarded pages are only sent to some visitors, so shared caches must never
+  // keep them, whatever the page asks for.
+  const isGuardedRoute = Boolean(route.meta?.requiresAuth || route.meta?.guestOnly);
+  const cacheControl = isGuardedRoute
+    ? PRIVATE_CACHE_CONTROL
+    : metadata?.cacheControl ?? getDefaultCacheControl(isISR ? revalidateSeconds : 0);
 
   if(isISR) {
-    const { html: cachedHtml, isStale } = await getCachedComponentHtml({
+    const { html: cachedHtml, isStale, headers: cachedHeaders, generatedAt } = await getCachedComponentHtml({
       componentPath: isrCacheKey,
       revalidateSeconds: revalidateSeconds,
     });
 
+    // Headers stored with the entry (set with `headers()` while rendering it)
+    // take precedence over the defaults.
+    const cachedResponseHeaders = cachedHtml && {
+      ...getCacheControlHeader(cacheControl),
+      ...getValidatorHeaders(cachedHtml, generatedAt),
+      ...cachedHeaders,
+    };
+
     if (cachedHtml && !isStale) {
-      sendResponse(context.res, statusCode, cachedHtml);
+      sendResponse(context.res, statusCode, cachedHtml, cachedResponseHeaders);
       return;
     }
 
@@ -187,40 +445,187 @@ async function renderAndSendPage({
     // user never waits for a re-render, then regenerate the page in the background.
     // The lock prevents multiple concurrent requests from all re-rendering at once.
     if (cachedHtml && isStale) {
-      sendResponse(context.res, statusCode, cachedHtml);
+      sendResponse(context.res, statusCode, cachedHtml, cachedResponseHeaders);
       if (!revalidatingRoutes.has(isrCacheKey)) {
         revalidatingRoutes.add(isrCacheKey);
-        revalidateInBackground(pagePath, context, isrCacheKey)
+        revalidateInBackground(pagePath, context, isrCacheKey, streamSuspense)
           .finally(() => revalidatingRoutes.delete(isrCacheKey));
       }
       return;
     }
   }
 
+  // loading.vex — stream the shell with the loading state right away and the
+  // page content once getData resolves.
+  const loadingBoundaryPath = await getLoadingBoundaryPath(pagePath);
+
+  // A render that set cookies or a status must not reach shared caches.
+  const getRenderCacheControl = () => getCacheControlHeader(isCacheableRender() ? cacheControl : PRIVATE_CACHE_CONTROL);
+
+  if (getData && loadingBoundaryPath) {
+    const { html, completed } = await streamPageBehindLoading({
+      pagePath,
+      loadingBoundaryPath,
+      statusCode,
+      context,
+      extraComponentData,
+      responseHeaders: getRenderCacheControl(),
+    });
+
+    if (isISR && completed && isCacheableRender()) {
+      saveRenderedPage(isrCacheKey, getCacheableHtml(html));
+    }
+    return;
+  }
+
   const { html, suspenseComponents, serverComponents } =
-    await renderPageWithLayout(pagePath, context);
+    await renderPageWithLayout(pagePath, context, false, extraComponentData);
+
+  // setStatus() in getData / getMetadata overrides the default status.
+  const responseStatus = getPendingStatus() ?? statusCode;
+  const shouldCache = isISR && isCacheableRender();
 
   // if no suspense components, send immediately
   if (suspenseComponents.length === 0) {
-    sendResponse(context.res, statusCode, html);
+    sendResponse(context.res, responseStatus, html, {
+      ...getRenderCacheControl(),
+      ...getValidatorHeaders(html, shouldCache ? Date.now() : null),
+    });
 
-    if(isISR) {
-      saveCachedComponentHtml({ componentPath: isrCacheKey, html });
+    if(shouldCache) {
+      saveRenderedPage(isrCacheKey, html);
     }
     return;
   }
 
   const htmlChunks = [];
   let abortedStream = false;
-  let errorStream = false
 
   context.res.on("close", () => abortedStream = true);
 
   // send initial HTML (before </body>)
   const [beforeClosing] = html.split("</body>");
-  sendStartStreamChunkResponse(context.res, 200, beforeClosing, htmlChunks)
+  sendStartStreamChunkResponse(context.res, responseStatus, beforeClosing, htmlChunks, getRenderCacheControl());
+
+  const errorStream = await streamSuspenseComponents({
+    pagePath,
+    context,
+    suspenseComponents,
+    serverComponents,
+    htmlChunks,
+  });
+
+  endStreamResponse(context.res, htmlChunks);
+
+  if(shouldCache && !abortedStream && !errorStream) {
+    saveRenderedPage(isrCacheKey, getCacheableHtml(htmlChunks.join("")));
+  }
+}
+
+/**
+ * Sends `103 Early Hints` with the scripts of the page, so the browser starts
+ * downloading them while `getData` runs. Clients that speak HTTP/1.0 do not
+ * understand informational responses and get none.
+ *
+ * @param {import("express").Request} req
+ * @param {import("http").ServerResponse} res
+ * @param {string} pagePath
+ * @returns {Promise<void>}
+ */
+async function sendEarlyHints(req, res, pagePath) {
+  if (res.headersSent || typeof res.writeEarlyHints !== "function") return;
+  if (req.httpVersionMajor < 1 || (req.httpVersionMajor === 1 && req.httpVersionMinor < 1)) return;
+
+  try {
+    res.writeEarlyHints({ link: await getPagePreloadLinks(pagePath) });
+  } catch (error) {
+    console.error(`Failed to send early hints for ${pagePath}:`, error.message);
+  }
+}
+
+/**
+ * Markup streamed into a boundary that failed when the page has no
+ * `error.vex`, or when rendering the `error.vex` itself fails.
+ */
+const FALLBACK_BOUNDARY_ERROR_HTML = `<div class="text-red-500">Error loading content</div>`;
+
+/**
+ * Builds the data handed to error pages and `error.vex` boundaries.
+ *
+ * @param {Error} error
+ * @param {string} routePath - Public path of the route that failed.
+ * @returns {{ message: string, code: number, details: string, path: string, stack: string }}
+ */
+const getErrorData = (error, routePath) => ({
+  message: error.message || "Internal server error",
+  code: 500,
+  details: "Could not load the requested page",
+  path: routePath,
+  stack: error.stack,
+});
+
+/**
+ * Renders the markup that replaces a boundary (Suspense or loading.vex)
+ * whose content failed after the response started streaming — the nearest
+ * `error.vex` of the page without layouts, or a generic message.
+ *
+ * @param {string} pagePath
+ * @param {object} context
+ * @param {Error} error
+ * @returns {Promise<string>}
+ */
+async function renderStreamedBoundaryError(pagePath, context, error) {
+  const errorBoundaryPath = await getErrorBoundaryPath(pagePath);
+  if (!errorBoundaryPath) return FALLBACK_BOUNDARY_ERROR_HTML;
+
+  try {
+    const routePath = new URL(context.req.url, "http://x").pathname;
+    return await renderErrorBoundary(errorBoundaryPath, context, getErrorData(error, routePath), false);
+  } catch (boundaryError) {
+    console.error(`Failed to render error boundary ${errorBoundaryPath}:`, boundaryError);
+    return FALLBACK_BOUNDARY_ERROR_HTML;
+  }
+}
+
+/**
+ * Renders the markup of the nearest not-found page (without layouts) for a
+ * `notFound()` thrown after the response started streaming.
+ *
+ * @param {string} pagePath
+ * @param {object} context
+ * @param {Error} error
+ * @returns {Promise<string>}
+ */
+async function renderStreamedNotFound(pagePath, context, error) {
+  const notFoundPagePath = await getNotFoundPagePath(pagePath);
+  if (!notFoundPagePath) return await renderStreamedBoundaryError(pagePath, context, error);
+
+  const { html } = await renderPage(notFoundPagePath, context, true);
+  return html;
+}
+
+/**
+ * Streams every Suspense boundary of a page as soon as its content resolves.
+ * Boundaries that fail are replaced with the page's error boundary.
+ *
+ * @param {{
+ *   pagePath: string,
+ *   context: object,
+ *   suspenseComponents: Array<{ id: string, content: string }>,
+ *   serverComponents: Map<string, any>,
+ *   htmlChunks: string[],
+ * }} params
+ * @returns {Promise<boolean>} `true` when at least one boundary failed.
+ */
+async function streamSuspenseComponents({
+  pagePath,
+  context,
+  suspenseComponents,
+  serverComponents,
+  htmlChunks,
+}) {
+  let errorStream = false;
 
-  // stream suspense components
   const renderPromises = suspenseComponents.map(async (suspenseComponent) => {
     try {
       const renderedContent = await renderSuspenseComponent(
@@ -236,35 +641,189 @@ async function renderAndSendPage({
       sendStreamChunkResponse(context.res, replacementContent, htmlChunks)
     } catch (error) {
       console.error(`Error rendering suspense ${suspenseComponent.id}:`, error);
+      errorStream = true;
 
       const errorContent = generateReplacementContent(
         suspenseComponent.id,
-        `<div class="text-red-500">Error loading content</div>`
+        await renderStreamedBoundaryError(pagePath, context, error)
       );
 
       context.res.write(errorContent);
-      errorStream = true;
     }
   });
 
   await Promise.all(renderPromises);
 
-  endStreamResponse(context.res, htmlChunks);
+  return errorStream;
+}
 
-  if(isISR && !abortedStream && !errorStream) {
-    saveCachedComponentHtml({
-      componentPath: isrCacheKey,
-      html: htmlChunks.join("")
+/**
+ * Streams a page that has a `loading.vex` boundary.
+ *
+ * The document shell (layouts + loading markup) is flushed before the page's
+ * `getData` runs; the page content then replaces the loading markup the same
+ * way a Suspense boundary does, followed by the page's own Suspense boundaries.
+ *
+ * Once the shell is sent the status code and headers are final, so failures
+ * are rendered in place: errors show the nearest `error.vex`, `notFound()`
+ * the nearest not-found page and `redirect()` navigates on the client.
+ *
+ * @async
+ * @param {{
+ *   pagePath: string,
+ *   loadingBoundaryPath: string,
+ *   statusCode: number,
+ *   context: object,
+ *   extraComponentData?: object,
+ *   responseHeaders?: Record<string, string>,
+ * }} params
+ * @returns {Promise<{ html: string, completed: boolean }>}
+ * The full streamed document, and whether it rendered without errors and
+ * reached the client (only then is it safe to cache).
+ */
+async function streamPageBehindLoading({
+  pagePath,
+  loadingBoundaryPath,
+  statusCode,
+  context,
+  extraComponentData = {},
+  responseHeaders = {},
+}) {
+  const htmlChunks = [];
+  let abortedStream = false;
+  let errorStream = false;
+
+  const { html: shellHtml, boundaryId } = await renderLoadingShell(pagePath, loadingBoundaryPath, context);
+
+  context.res.on("close", () => abortedStream = true);
+
+  const [beforeClosing] = shellHtml.split("</body>");
+  sendStartStreamChunkResponse(context.res, statusCode, beforeClosing, htmlChunks, responseHeaders);
+
+  try {
+    const { html, suspenseComponents, serverComponents } =
+      await renderPage(pagePath, context, false, extraComponentData);
+
+    sendStreamChunkResponse(context.res, generateReplacementContent(boundaryId, html), htmlChunks);
+
+    errorStream = await streamSuspenseComponents({
+      pagePath,
+      context,
+      suspenseComponents,
+      serverComponents,
+      htmlChunks,
     });
+  } catch (error) {
+    errorStream = true;
+
+    if (error.redirect) {
+      // `<` escaped so a path built from request data can't close the script.
+      const serializedPath = JSON.stringify(error.redirect.path).replace(/</g, "\\u003c");
+      context.res.write(`<script>location.replace(${serializedPath})</script>`);
+    } else if (error.notFound) {
+      context.res.write(generateReplacementContent(
+        boundaryId,
+        await renderStreamedNotFound(pagePath, context, error)
+      ));
+    } else {
+      console.error(`Error rendering page behind ${loadingBoundaryPath}:`, error);
+      context.res.write(generateReplacementContent(
+        boundaryId,
+        await renderStreamedBoundaryError(pagePath, context, error)
+      ));
+    }
   }
+
+  endStreamResponse(context.res, htmlChunks);
+
+  return { html: htmlChunks.join(""), completed: !abortedStream && !errorStream };
+}
+
+/**
+ * Renders the not-found page closest to `pagePath` with status 404, or a
+ * plain 404 when the app has none.
+ *
+ * @param {string} pagePath - Absolute path of the page that called `notFound()`.
+ * @param {object} context
+ * @param {object} route - Route that was being rendered.
+ * @returns {Promise<void>}
+ */
+async function sendNotFoundPage(pagePath, context, route) {
+  const notFoundPagePath = await getNotFoundPagePath(pagePath);
+  if (!notFoundPagePath) {
+    context.res.status(404).send("Page not found");
+    return;
+  }
+
+  await renderAndSendPage({
+    pageName: path.relative(PAGES_DIR, path.dirname(notFoundPagePath)),
+    statusCode: 404,
+    context,
+    route,
+  });
+}
+
+/**
+ * Picks the not-found route for a URL that matched no page: the one whose
+ * folder is the deepest ancestor of the URL (`/docs/not-found` for
+ * `/docs/missing`, `/not-found` for anything else).
+ *
+ * @param {Array<{ path: string, isNotFound: boolean }>} routes - Server routes.
+ * @param {string} urlPath - Request pathname.
+ * @returns {object | null}
+ */
+export function findNotFoundRoute(routes, urlPath) {
+  let nearest = null;
+  let nearestBaseLength = -1;
+
+  for (const route of routes) {
+    if (!route.isNotFound) continue;
+
+    const base = route.path.replace(/\/not-found$/, "");
+    const applies = base === "" || urlPath === base || urlPath.startsWith(`${base}/`);
+
+    if (applies && base.length > nearestBaseLength) {
+      nearest = route;
+      nearestBaseLength = base.length;
+    }
+  }
+
+  return nearest;
+}
+
+/**
+ * Tells whether a request to a `fallback: "static-only"` page asks for
+ * params that `getStaticPaths` did not return.
+ *
+ * @param {{ meta?: { fallback?: string | null, staticPaths?: string[] } }} route
+ * @param {import("express").Request} req
+ * @returns {boolean}
+ */
+function isUnknownStaticPath(route, req) {
+  if (route.meta?.fallback !== "static-only") return false;
+
+  let pathname = req.path;
+  try {
+    pathname = decodeURI(pathname);
+  } catch {}
+
+  const normalized = pathname.replace(/\/+$/, "") || "/";
+  return !route.meta.staticPaths?.includes(normalized);
 }
 
 /**
  * Handles an incoming HTTP request for a page route.
  *
  * Resolves the appropriate route, builds the rendering context,
- * delegates rendering to `renderAndSendPage`, and ensures that
- * errors are handled gracefully by rendering a fallback error page.
+ * runs the page's `middleware.js` chain, enforces the route guards
+ * (`requiresAuth` / `guestOnly`), runs the page action on POST, delegates rendering to
+ * `renderAndSendPage`, and ensures that errors are handled gracefully
+ * by rendering a fallback error page.
+ *
+ * Everything runs inside a request-scoped response state, so `cookies()`,
+ * `headers()` and `setStatus()` calls from middlewares, actions and server
+ * scripts are applied to whatever response ends up being sent — including
+ * redirects.
  *
  * @async
  * @function handlePageRequest
@@ -281,37 +840,123 @@ async function renderAndSendPage({
  * @param {string} route.path
  *   Public URL path of the route.
  *
+ * @param {string} route.pageName
+ *   Page folder relative to `pages/`, including route groups.
+ *
  * @param {Object} route.meta
  *   Route metadata used during rendering.
  *
  * @returns {Promise<void>}
  *   Resolves once the response has been fully handled.
  */
-export async function handlePageRequest(req, res, route) {
-  const pageName = route.path.slice(1);
+export function handlePageRequest(req, res, route) {
+  return runWithResponseState(req, () => renderPageRequest(req, res, route));
+}
+
+/**
+ * Body of `handlePageRequest`, run inside the request's response state.
+ *
+ * @param {import("http").IncomingMessage} req
+ * @param {import("http").ServerResponse} res
+ * @param {Object} route
+ * @returns {Promise<void>}
+ */
+async function renderPageRequest(req, res, route) {
+  const { pageName } = route;
 
   const context = { req, res };
 
   try {
-    await renderAndSendPage({ pageName, context, route });
+    // metadata.fallback = "static-only" — params missing from getStaticPaths are a 404.
+    if (isUnknownStaticPath(route, req)) notFound();
+
+    const handledByMiddleware = await runMiddlewares(getPagePath(pageName), context);
+    if (handledByMiddleware) return;
+
+    // requiresAuth / guestOnly from page metadata. Runs after middlewares so
+    // they can prepare the request (e.g. attach a session) for isAuthenticated.
+    const guardRedirect = await getGuardRedirect(route, req);
+    if (guardRedirect) {
+      commitResponseState(res);
+      res.setHeader("Cache-Control", PRIVATE_CACHE_CONTROL);
+      res.redirect(302, guardRedirect);
+      return;
+    }
+
+    // Headers and cookies set from here on belong to the page: dropped if it
+    // is replaced by a not-found or error page, stored with its ISR entry.
+    markPageStart();
+
+    // Form submission to a page with actions: run the action, then render
+    // the page again with its result (`action` in getData and the template).
+    if (req.method === "POST" && route.meta?.hasActions) {
+      context.action = await runPageAction(getPagePath(pageName), context);
+      if (res.headersSent) return;
+    }
+
+    await sendEarlyHints(req, res, getPagePath(pageName));
+
+    await renderAndSendPage({
+      pageName,
+      statusCode: context.action?.statusCode ?? (route.isNotFound ? 404 : 200),
+      context,
+      route,
+    });
   } catch (e) {
-    console.error(`[500] Error rendering page "${route.path}":`, e);
-    // redirect() in a server script throws a structured error.
+    // Replaced by the error of the not-found page or rewrite when it fails too.
+    let error = e;
+
+    // redirect() in a server script or middleware throws a structured error.
     // Intercept it before the generic 500 handler so the browser gets a proper redirect.
-    if (e.redirect) {
-      res.redirect(e.redirect.statusCode, e.redirect.path);
+    if (error.redirect) {
+      commitResponseState(res);
+      res.redirect(error.redirect.statusCode, error.redirect.path);
       return;
     }
 
-    const errorData = {
-      message: e.message || "Internal server error",
-      code: 500,
-      details: "Could not load the requested page",
-      path: route.path,
-      stack: e.stack,
-    };
+    // notFound() in a server script or middleware — nearest not-found page, 404.
+    // The status, headers and cookies set by the page that was replaced are dropped.
+    if (error.notFound && !res.headersSent) {
+      resetPendingResponse();
+      try {
+        await sendNotFoundPage(getPagePath(pageName), context, route);
+        return;
+      } catch (notFoundError) {
+        error = notFoundError;
+      }
+    }
+
+    // rewrite() in a middleware — render another route under the same URL.
+    if (error.rewrite) {
+      try {
+        dispatchRewrite(req, res, error.rewrite.path);
+        return;
+      } catch (rewriteError) {
+        error = rewriteError;
+      }
+    }
+
+    console.error(`[500] Error rendering page "${route.path}":`, error);
+
+    // The response already started streaming — nothing else can be sent.
+    if (res.headersSent) {
+      res.end();
+      return;
+    }
+
+    const errorData = getErrorData(error, route.path);
+    resetPendingResponse();
 
     try {
+      // Nearest error.vex, rendered inside the layouts at and above it.
+      // Like the not-found page, it must not be cached under the page's URL.
+      const errorBoundaryPath = await getErrorBoundaryPath(getPagePath(pageName));
+      if (errorBoundaryPath) {
+        const html = await renderErrorBoundary(errorBoundaryPath, context, errorData);
+        sendResponse(res, 500, html, getCacheControlHeader(PRIVATE_CACHE_CONTROL));
+        return;
+      }
+
       await renderAndSendPage({ 
         pageName: "error", 
         statusCode: 500, 
@@ -324,52 +969,84 @@ export async function handlePageRequest(req, res, route) {
     } catch (err) {
       console.warn('error}}}}}}}}}}', err)
       console.error(`Failed to render error page: ${err.message}`);
-      sendResponse(res, 500, FALLBACK_ERROR_HTML);
+      sendResponse(res, 500, FALLBACK_ERROR_HTML, getCacheControlHeader(PRIVATE_CACHE_CONTROL));
     }
   }
 }
 
 
 /**
- * Handler to mark a cached component or page as stale for ISR-like revalidation.
+ * Imports the `route.js` module of an API route.
+ *
+ * Node's ESM loader caches the module after the first import, so this only
+ * touches the filesystem on the first request to each route.
+ *
+ * @param {{ handlerPath: string }} route
+ * @returns {Promise<Record<string, Function>>}
+ */
+function loadApiRouteModule(route) {
+  const handlerFile = path.resolve(PROJECT_ROOT, route.handlerPath);
+  return import(pathToFileURL(handlerFile).href);
+}
+
+/**
+ * Handles an incoming HTTP request for an API route (a `route.js` in `pages/`).
  *
- * This endpoint allows clients to request that the server invalidate the cached HTML
- * of a specific component or page. The cache will be regenerated automatically
- * on the next request for that component.
+ * The exported function named after the request method is called with the
+ * Express `req` and `res`. Handlers can either write the response themselves
+ * (`res.status(201).json(...)`) or simply return a value, which is sent as
+ * JSON when the response has not been sent yet.
  *
  * @async
- * @param {import('express').Request} req - The Express request object. Expects a query parameter `path` specifying the component/page path to revalidate.
- * @param {import('express').Response} res - The Express response object. Will send a JSON response indicating success or failure.
+ * @function handleApiRequest
  *
- * @returns {Promise<import('express').Response>} JSON response with:
- *   - 200: { message: string } if the cache was successfully marked as stale
- *   - 400: { error: string } if the required `path` query parameter is missing
- *   - 500: { error: string } if an unexpected error occurs during revalidation
+ * @param {import("express").Request} req
+ *   Incoming HTTP request. `req.params` holds the dynamic segments.
+ *
+ * @param {import("express").Response} res
+ *   HTTP response.
+ *
+ * @param {{ path: string, handlerPath: string, methods: string[] }} route
+ *   API route descriptor from `_routes.js`.
+ *
+ * @returns {Promise<void>}
  *
  * @example
- * Client request:
- * POST /revalidate?path=/about
- * 
- * Response:
- * {
- *   "message": "Cache for '/about' marked as stale. It will regenerate on next request."
+ * // pages/api/users/[id]/route.js
+ * export async function GET(req) {
+ *   return { id: req.params.id };
  * }
  */
-export async function revalidatePath(req, res) {
+export async function handleApiRequest(req, res, route) {
   try {
-    const componentPath = req.query.path;
+    const mod = await loadApiRouteModule(route);
+    const handler = mod[req.method === "HEAD" ? "GET" : req.method];
 
-    if (!componentPath) {
-      return res.status(400).json({ error: "Missing 'path' query parameter" });
+    if (typeof handler !== "function") {
+      sendMethodNotAllowed(res, route);
+      return;
     }
 
-    await revalidateCachedComponentHtml(componentPath);
+    const result = await handler(req, res);
 
-    return res.status(200).json({
-      message: `Cache for '${componentPath}' marked as stale. It will regenerate on next request.`
-    });
-  } catch (err) {
-    console.error("Error revalidating cache:", err);
-    return res.status(500).json({ error: "Failed to revalidate cache" });
+    if (result !== undefined && !res.headersSent) {
+      res.json(result);
+    }
+  } catch (e) {
+    console.error(`[500] Error in API route "${route.path}":`, e);
+    if (!res.headersSent) {
+      res.status(500).json({ error: "Internal server error" });
+    }
   }
-}
\ No newline at end of file
+}
+
+/**
+ * Responds 405 with the `Allow` header listing the methods a route exports.
+ *
+ * @param {import("express").Response} res
+ * @param {{ methods: string[] }} route
+ */
+export function sendMethodNotAllowed(res, route) {
+  res.set("Allow", route.methods.join(", "));
+  res.status(405).json({ error: "Method not allowed" });
+}
@@ -29,7 +29,14 @@ import {
  * // }
  */
 function decodeAttrValue(raw) {
-  const decoded = raw.replace(/&quot;/g, '"');
+  // Undoes the escaping of bound attributes in template.js — `&amp;` last,
+  // so an escaped entity (`&amp;lt;`) is not decoded twice.
+  const decoded = raw
+    .replace(/&quot;/g, '"')
+    .replace(/&#39;/g, "'")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
   if (decoded.startsWith("[") || decoded.startsWith("{")) {
     try { return JSON.parse(decoded); } catch {}
   }
@@ -301,6 +308,79 @@ export function generateReplacementContent(suspenseId, renderedContent) {
   return `<template id="${contentId}">${renderedContent}</template><script>window.hydrateTarget("${suspenseId}","${contentId}")</script>`;
 }
 
+/**
+ * Matches the inline script closing a replacement payload (see
+ * `generateReplacementContent`): `[, targetId, sourceId]`.
+ */
+const REPLACEMENT_SCRIPT_REGEX = /<script>window\.hydrateTarget\("([^"]+)","([^"]+)"\)<\/script>/;
+
+/**
+ * Returns the index right after the element that opens at `startIndex`,
+ * counting nested elements with the same tag name.
+ *
+ * @param {string} html
+ * @param {number} startIndex - Index of the element's opening `<`.
+ * @param {string} tagName
+ * @returns {number} `-1` when the element is not closed.
+ */
+function findElementEnd(html, startIndex, tagName) {
+  const tagRegex = new RegExp(`<(/?)${tagName}(?=[\\s/>])[^>]*>`, "gi");
+  tagRegex.lastIndex = startIndex;
+
+  let depth = 0;
+  let match;
+  while ((match = tagRegex.exec(html)) !== null) {
+    depth += match[1] ? -1 : 1;
+    if (depth === 0) return tagRegex.lastIndex;
+  }
+
+  return -1;
+}
+
+/**
+ * Turns a streamed document into the markup the browser ends up with once
+ * every boundary has been swapped in: each replacement payload is removed and
+ * its content takes the place of the element it targets (the Suspense
+ * fallback or the `loading.vex` markup), as `window.hydrateTarget` does.
+ *
+ * Payloads are applied in stream order, so a boundary inside content that
+ * replaced another one (Suspense inside a page behind `loading.vex`) is
+ * resolved too. A payload whose target is missing is left untouched.
+ *
+ * @param {string} html - Document as streamed: shell, then replacement payloads.
+ * @returns {string}
+ */
+export function resolveStreamedHtml(html) {
+  let resolved = html;
+  let searchFrom = 0;
+
+  while (true) {
+    const scriptMatch = REPLACEMENT_SCRIPT_REGEX.exec(resolved.slice(searchFrom));
+    if (!scriptMatch) return resolved;
+
+    const [script, targetId, sourceId] = scriptMatch;
+    const scriptIndex = searchFrom + scriptMatch.index;
+    const templateOpening = `<template id="${sourceId}">`;
+    const templateIndex = resolved.lastIndexOf(templateOpening, scriptIndex);
+    const targetIndex = resolved.indexOf(`<div id="${targetId}">`);
+    const targetEnd = targetIndex === -1 ? -1 : findElementEnd(resolved, targetIndex, "div");
+
+    if (templateIndex === -1 || targetEnd === -1 || targetEnd > templateIndex) {
+      searchFrom = scriptIndex + script.length;
+      continue;
+    }
+
+    const content = resolved.slice(templateIndex + templateOpening.length, scriptIndex - "</template>".length);
+
+    resolved =
+      resolved.slice(0, targetIndex) +
+      content +
+      resolved.slice(targetEnd, templateIndex) +
+      resolved.slice(scriptIndex + script.length);
+    searchFrom = 0;
+  }
+}
+
 /**
  * Renders all components inside a suspense boundary
  * @param {{
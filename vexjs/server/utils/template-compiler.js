@@ -0,0 +1,507 @@
+import { render } from "dom-serializer";
+import { parseForExpression } from "./template-loops.js";
+
+/**
+ * Template compiler.
+ *
+ * Turns a parsed template (htmlparser2 nodes) into the body of a single JS
+ * function that renders it by string concatenation, so a hot page no longer
+ * clones and walks a DOM tree on every request.
+ *
+ * The generated code mirrors `processNode` + dom-serializer exactly —
+ * directive order, `x-if`/`x-else` chains, attribute order, void and
+ * foreign (svg/math) elements — so the output is identical to the
+ * interpreter in `template.js`. Tag names, attribute names and closing rules
+ * are asked from dom-serializer itself at compile time instead of being
+ * duplicated here.
+ *
+ * Templates the compiler can't mirror exactly (e.g. `{{}}` inside a
+ * directive value) throw `UnsupportedTemplateError`; the caller then keeps
+ * using the interpreter for that template.
+ *
+ * Generated code only references:
+ * - `__vex` — the runtime helpers (`escapeHtml`, `interpolate`, ...)
+ * - `__vex_fail(error, id)` — reports a throwing expression by its index
+ *   in the returned `locations` and returns the value to render instead
+ * - the scope keys, bound as local variables
+ * - `__vex_*` locals declared by the compiler itself
+ */
+
+const INTERPOLATION_REGEX = /(?<!\\)\{\{(.+?)\}\}/g;
+const DIRECTIVES = ["x-if", "x-else-if", "x-else", "x-show", "x-for", "x-html"];
+/** Directives that turn a `<template>` into a fragment. */
+const FRAGMENT_DIRECTIVES = ["x-if", "x-else-if", "x-else", "x-for"];
+const IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*$/;
+
+export class UnsupportedTemplateError extends Error {}
+
+/**
+ * Whether `name` can be declared as a local variable in generated code.
+ *
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isBindableName(name) {
+  if (!IDENTIFIER_REGEX.test(name) || name.startsWith("__vex")) return false;
+  try {
+    new Function(`let ${name};`);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Renders a childless probe element with dom-serializer and reports how it
+ * serialised it: the (case-fixed) tag name, whether it switched to foreign
+ * mode and whether it is a void element.
+ *
+ * @param {string} name
+ * @param {string | undefined} parentName
+ * @param {false | "foreign"} mode - serializer mode of the parent
+ * @returns {{ name: string, mode: false | "foreign", isVoid: boolean }}
+ */
+function probeElement(name, parentName, mode) {
+  const html = render(
+    { type: "tag", name, attribs: {}, children: [], parent: { name: parentName } },
+    { encodeEntities: false, xmlMode: mode }
+  );
+  const serializedName = html.match(/^<([^\s/>]+)/)[1];
+  const isForeign = html.endsWith("/>");
+  return {
+    name: serializedName,
+    mode: isForeign ? "foreign" : false,
+    isVoid: !isForeign && !html.endsWith(`</${serializedName}>`),
+  };
+}
+
+/**
+ * Attribute name as dom-serializer writes it (foreign mode fixes the case of
+ * e.g. `viewbox` → `viewBox`).
+ *
+ * @param {string} name
+ * @param {false | "foreign"} mode
+ * @returns {string}
+ */
+function serializeAttributeName(name, mode) {
+  if (mode !== "foreign") return name;
+  const html = render(
+    { type: "tag", name: "x", attribs: { [name]: "" }, children: [], parent: null },
+    { encodeEntities: false, xmlMode: mode }
+  );
+  return html.slice(3, html.lastIndexOf('=""'));
+}
+
+/**
+ * Serialised static attribute, including its leading space.
+ *
+ * @param {string} name - already serialised name
+ * @param {string} value
+ * @param {false | "foreign"} mode
+ * @returns {string}
+ */
+function serializeAttribute(name, value, mode) {
+  if (!mode && value === "") return ` ${name}`;
+  return ` ${name}="${value.replace(/"/g, "&quot;")}"`;
+}
+
+/**
+ * Splits a string with `{{expr}}` interpolations into static and expression
+ * parts.
+ *
+ * @param {string} value
+ * @returns {Array<{ text: string } | { expression: string }>}
+ */
+function splitInterpolations(value) {
+  const parts = [];
+  let lastIndex = 0;
+  for (const match of value.matchAll(INTERPOLATION_REGEX)) {
+    if (match.index > lastIndex) {
+      parts.push({ text: value.slice(lastIndex, match.index) });
+    }
+    parts.push({ expression: match[1].trim() });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < value.length) parts.push({ text: value.slice(lastIndex) });
+  return parts;
+}
+
+/**
+ * Compiles parsed template nodes into the body of a render function.
+ *
+ * The body expects `__vex` (runtime helpers), `__vex_fail` and the scope
+ * keys to be in scope and returns the rendered HTML.
+ *
+ * @param {ChildNode[]} nodes - top-level nodes, never mutated
+ * @returns {{
+ *  body: string,
+ *  locations: Array<{ expression: string, attribute: string | null, index: number | undefined }>,
+ * }}
+ * @throws {UnsupportedTemplateError}
+ */
+export function compileTemplateNodes(nodes) {
+  const lines = [];
+  const locations = [];
+  let pending = null;
+  let counter = 0;
+
+  const uid = (prefix) => `__vex_${prefix}${counter++}`;
+
+  const flush = () => {
+    if (pending) {
+      lines.push(`${pending.target} += ${JSON.stringify(pending.text)};`);
+      pending = null;
+    }
+  };
+
+  /** Appends static text, merged with adjacent static text. */
+  const emitText = (target, text) => {
+    if (!text) return;
+    if (pending && pending.target !== target) flush();
+    pending ??= { target, text: "" };
+    pending.text += text;
+  };
+
+  const emitCode = (code) => {
+    flush();
+    lines.push(code);
+  };
+
+  /**
+   * Evaluates an expression like `getDataValue`: reported through
+   * `__vex_fail` when it throws.
+   * @returns {string} variable holding the value
+   */
+  const emitEvaluation = (expression, node, attribute = null) => {
+    const variable = uid("v");
+    const id = locations.push({ expression, attribute, index: node.startIndex }) - 1;
+    emitCode(
+      `let ${variable}; try { ${variable} = (${expression}\n); } catch (__vex_error) { ${variable} = __vex_fail(__vex_error, ${id}); }`
+    );
+    return variable;
+  };
+
+  /**
+   * JS expression building an interpolated value from static and
+   * `{{expr}}` parts.
+   */
+  const emitInterpolatedValue = (parts, format, node, attribute = null) => {
+    const pieces = parts.map((part) =>
+      "text" in part
+        ? JSON.stringify(part.text)
+        : `${format}(${emitEvaluation(part.expression, node, attribute)})`
+    );
+    return `__vex.unescapeBraces(${pieces.join(" + ") || '""'})`;
+  };
+
+  /**
+   * @param {ChildNode} node
+   * @param {{
+   *  target: string,
+   *  mode: false | "foreign",
+   *  previous: string,
+   *  previousVar: string | null,
+   *  countVar: string | null,
+   *  parentName: string | undefined,
+   * }} context
+   */
+  const compileNode = (node, context) => {
+    const { target, previousVar, countVar } = context;
+    const markRendered = () => {
+      if (previousVar) emitCode(`${previousVar} = true;`);
+      if (countVar) emitCode(`${countVar} += 1;`);
+    };
+
+    if (node.type === "text") {
+      const parts = splitInterpolations(node.data);
+      if (parts.some((part) => "expression" in part)) {
+        emitCode(
+          `${target} += ${emitInterpolatedValue(parts, "__vex.interpolate", node)};`
+        );
+      } else {
+        emitText(target, node.data.replace(/\\\{\{/g, "{{"));
+      }
+      markRendered();
+      return;
+    }
+
+    if (node.type !== "tag") {
+      emitText(target, render(node, { encodeEntities: false }));
+      markRendered();
+      return;
+    }
+
+    compileTag(node, context);
+  };
+
+  /** Compiles an element: conditions, `x-for`, attributes and children. */
+  const compileTag = (node, context) => {
+    const { previous, previousVar, countVar } = context;
+    const attrs = node.attribs || {};
+    const isLoop = "x-for" in attrs;
+    const isFragment =
+      node.name === "template" && FRAGMENT_DIRECTIVES.some((name) => name in attrs);
+
+    if (isFragment) {
+      // processNode still evaluates the other attributes of the template
+      // before dropping them; leave that to the interpreter.
+      const extra = Object.keys(attrs).find(
+        (name) => !FRAGMENT_DIRECTIVES.includes(name) && name !== "x-show"
+      );
+      if (extra) throw new UnsupportedTemplateError(`${extra} on <template>`);
+    }
+    const compileRendering = isFragment ? compileFragment : compileElement;
+
+    for (const [name, value] of Object.entries(attrs)) {
+      const isDirective =
+        DIRECTIVES.includes(name) ||
+        name.startsWith(":") ||
+        name.startsWith("x-bind:");
+      // Directive values are interpolated before they are evaluated: leave
+      // them to the interpreter.
+      if (isDirective && value.includes("{{")) {
+        throw new UnsupportedTemplateError(`{{}} in ${name}`);
+      }
+    }
+
+    const conditions = [];
+    if ("x-if" in attrs) {
+      conditions.push(() => emitEvaluation(attrs["x-if"], node, "x-if"));
+    }
+    if ("x-else-if" in attrs) {
+      conditions.push(
+        () => `!${previous} && ${emitEvaluation(attrs["x-else-if"], node, "x-else-if")}`
+      );
+    }
+    if ("x-else" in attrs) {
+      conditions.push(() => `!${previous}`);
+    }
+
+    const renderedVar = previousVar ? uid("r") : null;
+    if (renderedVar) emitCode(`let ${renderedVar} = false;`);
+
+    // Nest one `if` per condition so later conditions are only evaluated
+    // when the earlier ones pass, as in processNode.
+    for (const condition of conditions) {
+      emitCode(`if (${condition()}) {`);
+    }
+
+    const showVar =
+      "x-show" in attrs ? emitEvaluation(attrs["x-show"], node, "x-show") : null;
+
+    if (isLoop) {
+      const loop = parseForExpression(attrs["x-for"]);
+      if (!loop || !loop.aliases.every(isBindableName)) {
+        throw new UnsupportedTemplateError(`x-for="${attrs["x-for"]}"`);
+      }
+      const listVar = emitEvaluation(loop.source, node, "x-for");
+      const entriesVar = uid("e");
+      emitCode(`const ${entriesVar} = __vex.getLoopEntries(${listVar});`);
+      emitCode(`for (const [${loop.aliases.join(", ")}] of ${entriesVar}) {`);
+      compileRendering(node, context, showVar);
+      emitCode("}");
+      if (renderedVar) emitCode(`${renderedVar} = ${entriesVar}.length > 0;`);
+      if (countVar) emitCode(`${countVar} += ${entriesVar}.length;`);
+    } else {
+      compileRendering(node, context, showVar);
+      if (renderedVar) emitCode(`${renderedVar} = true;`);
+      if (countVar) emitCode(`${countVar} += 1;`);
+    }
+
+    for (const _ of conditions) emitCode("}");
+
+    if (previousVar) emitCode(`${previousVar} = ${renderedVar};`);
+  };
+
+  /** Children processNode renders: whitespace-only text is dropped. */
+  const getRenderedChildren = (node) =>
+    (node.children || []).filter(
+      (child) => !(child.type === "text" && /^\s*$/.test(child.data))
+    );
+
+  /**
+   * Context for compiling `children`, declaring the previous-rendered
+   * variable when one of them has `x-else`/`x-else-if`.
+   */
+  const createChildContext = (children, { target, mode, parentName }) => {
+    const childContext = {
+      target,
+      mode,
+      parentName,
+      previous: "false",
+      previousVar: null,
+      countVar: null,
+    };
+    const needsPrevious = children.some(
+      (child) =>
+        child.type === "tag" &&
+        ("x-else" in child.attribs || "x-else-if" in child.attribs)
+    );
+    if (needsPrevious) {
+      childContext.previousVar = uid("p");
+      childContext.previous = childContext.previousVar;
+      emitCode(`let ${childContext.previousVar} = false;`);
+    }
+    return childContext;
+  };
+
+  /**
+   * Compiles one rendering of a `<template x-if>` / `<template x-for>`: its
+   * children, in the template's parent (see `toFragment` in template.js).
+   */
+  const compileFragment = (node, context) => {
+    const { target, mode, parentName } = context;
+    const children = getRenderedChildren(node);
+    const childContext = createChildContext(children, { target, mode, parentName });
+    for (const child of children) compileNode(child, childContext);
+  };
+
+  /**
+   * Compiles one rendering of an element (one clone, for `x-for`): the
+   * attribute list after processNode's mutations, then the children.
+   */
+  const compileElement = (node, context, showVar) => {
+    const { target, mode: parentMode, parentName } = context;
+    const attrs = node.attribs || {};
+    const element = probeElement(node.name, parentName, parentMode);
+    const { mode } = element;
+
+    // Replay processNode's attribute mutations on an ordered map so
+    // bindings replace attributes in place and new ones are appended.
+    const entries = new Map();
+    for (const [name, value] of Object.entries(attrs)) {
+      const parts = splitInterpolations(value);
+      entries.set(
+        name,
+        parts.some((part) => "expression" in part)
+          ? { parts }
+          : { value: value.replace(/\\\{\{/g, "{{") }
+      );
+    }
+    for (const name of ["x-if", "x-else-if", "x-else", "x-for"]) {
+      entries.delete(name);
+    }
+    if (showVar) {
+      entries.delete("x-show");
+      if (entries.has("style")) {
+        entries.get("style").hiddenSuffix = true;
+      } else {
+        entries.set("style", { hiddenOnly: true });
+      }
+    }
+    for (const [name, entry] of [...entries]) {
+      let realName = null;
+      if (name.startsWith(":")) realName = name.slice(1);
+      if (name.startsWith("x-bind:")) realName = name.slice(7);
+      if (realName === null) continue;
+      if (realName === "style" && showVar && !("style" in attrs)) {
+        // Whether `style` exists depends on x-show at runtime, and with it
+        // the binding's position.
+        throw new UnsupportedTemplateError(`${name} with x-show`);
+      }
+      entries.set(
+        realName,
+        name === ":fallback" && node.name === "Suspense"
+          ? { value: entry.value }
+          : { binding: entry.value, attribute: name }
+      );
+      entries.delete(name);
+    }
+    for (const name of [...entries.keys()]) {
+      if (name.startsWith("@") || name.startsWith("x-on:")) {
+        entries.delete(name);
+      }
+    }
+    const htmlExpression = entries.get("x-html")?.value;
+    entries.delete("x-html");
+
+    emitText(target, `<${element.name}`);
+    for (const [name, entry] of entries) {
+      const serializedName = serializeAttributeName(name, mode);
+      const foreign = JSON.stringify(mode === "foreign");
+      if ("binding" in entry) {
+        const value = emitEvaluation(entry.binding, node, entry.attribute);
+        emitCode(
+          `${target} += __vex.attribute(${JSON.stringify(serializedName)}, __vex.formatAttributeValue(${value}), ${foreign});`
+        );
+      } else if (entry.hiddenOnly) {
+        emitCode(
+          `if (!${showVar}) ${target} += ${JSON.stringify(serializeAttribute(serializedName, "display:none;", mode))};`
+        );
+      } else if (entry.parts || entry.hiddenSuffix) {
+        let value = entry.parts
+          ? emitInterpolatedValue(entry.parts, "__vex.escapeHtml", node, name)
+          : JSON.stringify(entry.value);
+        if (entry.hiddenSuffix) {
+          value = `${value} + (${showVar} ? "" : "display:none;")`;
+        }
+        emitCode(
+          `${target} += __vex.attribute(${JSON.stringify(serializedName)}, ${value}, ${foreign});`
+        );
+      } else {
+        emitText(target, serializeAttribute(serializedName, entry.value, mode));
+      }
+    }
+
+    const closing = mode === "foreign" || !element.isVoid ? `</${element.name}>` : "";
+
+    if (htmlExpression !== undefined) {
+      const value = emitEvaluation(htmlExpression, node, "x-html");
+      emitText(target, ">");
+      emitCode(`${target} += String(${value} ?? "");`);
+      emitText(target, closing);
+      return;
+    }
+
+    const children = getRenderedChildren(node);
+    const isConditional = (child) =>
+      child.type === "tag" &&
+      ["x-if", "x-else-if", "x-else", "x-for"].some(
+        (name) => name in (child.attribs || {})
+      );
+    const childContext = createChildContext(children, {
+      target,
+      mode,
+      parentName: element.name,
+    });
+
+    // Foreign elements without children self-close, which can only be
+    // decided at runtime when every child is conditional.
+    if (mode === "foreign" && !children.some((child) => !isConditional(child))) {
+      if (children.length === 0) {
+        emitText(target, "/>");
+        return;
+      }
+      childContext.target = uid("c");
+      childContext.countVar = uid("n");
+      emitCode(`let ${childContext.target} = "", ${childContext.countVar} = 0;`);
+      for (const child of children) compileNode(child, childContext);
+      flush();
+      emitCode(
+        `${target} += ${childContext.countVar} === 0 ? "/>" : ">" + ${childContext.target} + ${JSON.stringify(closing)};`
+      );
+      return;
+    }
+
+    emitText(target, ">");
+    for (const child of children) compileNode(child, childContext);
+    emitText(target, closing);
+  };
+
+  emitCode('let __vex_out = "";');
+  for (const node of nodes) {
+    // Top-level nodes are rendered independently: an x-else there never
+    // sees its sibling, exactly like compileTemplateToHTML's map().
+    compileNode(node, {
+      target: "__vex_out",
+      mode: false,
+      parentName: node.parent?.name,
+      previous: "false",
+      previousVar: null,
+      countVar: null,
+    });
+  }
+  emitCode("return __vex_out;");
+
+  return { body: lines.join("\n"), locations };
+}
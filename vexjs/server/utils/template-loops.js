@@ -0,0 +1,65 @@
+/**
+ * `x-for` parsing and iteration, shared by the template interpreter, the
+ * template compiler and the client component compiler.
+ *
+ * Supported forms:
+ *
+ *   item in items                  arrays, Sets, strings and other iterables
+ *   (item, index) in items
+ *   (value, key) in object         plain objects (own enumerable keys) and Maps
+ *   (value, key, index) in object
+ *   n in 10                        range: 1..10, index 0..9
+ *
+ * `null`, `undefined` and other values render nothing. The client runtime
+ * (`client/services/html.js`) iterates the same way, so a page renders the
+ * same list on the server and in the browser.
+ */
+
+const FOR_EXPRESSION_REGEX = /^\s*(?:\(([^()]*)\)|([^\s(),]+))\s+in\s+([\s\S]+?)\s*$/;
+const ALIAS_REGEX = /^[A-Za-z_$][\w$]*$/;
+
+/**
+ * Parses an `x-for` expression.
+ *
+ * @param {string} expression - e.g. `"(item, index) in items"`
+ * @returns {{ aliases: string[], source: string } | null}
+ *   Up to three alias names (value, key, index) and the source expression,
+ *   or `null` when the expression is not a valid `x-for`.
+ */
+export function parseForExpression(expression) {
+  const match = expression.match(FOR_EXPRESSION_REGEX);
+  if (!match) return null;
+
+  const aliases = (match[1] ?? match[2]).split(",").map((alias) => alias.trim());
+  if (aliases.length > 3 || !aliases.every((alias) => ALIAS_REGEX.test(alias))) {
+    return null;
+  }
+
+  return { aliases, source: match[3] };
+}
+
+/**
+ * The entries an `x-for` renders, as `[value, key, index]` tuples. For
+ * arrays, ranges and other iterables `key` is the index.
+ *
+ * @param {any} source
+ * @returns {Array<[any, any, number]>}
+ */
+export function getLoopEntries(source) {
+  if (typeof source === "number") {
+    return Number.isInteger(source) && source > 0
+      ? Array.from({ length: source }, (_, i) => [i + 1, i, i])
+      : [];
+  }
+  if (source === null || source === undefined) return [];
+  if (source instanceof Map) {
+    return Array.from(source, ([key, value], i) => [value, key, i]);
+  }
+  if (typeof source[Symbol.iterator] === "function") {
+    return Array.from(source, (value, i) => [value, i, i]);
+  }
+  if (typeof source === "object") {
+    return Object.keys(source).map((key, i) => [source[key], key, i]);
+  }
+  return [];
+}
@@ -1,5 +1,11 @@
 import { parseDocument, DomUtils } from "htmlparser2";
 import { render } from "dom-serializer";
+import {
+  compileTemplateNodes,
+  isBindableName,
+  UnsupportedTemplateError,
+} from "./template-compiler.js";
+import { getLoopEntries, parseForExpression } from "./template-loops.js";
 
 /**
  * Compiled-function cache.
@@ -16,29 +22,169 @@ import { render } from "dom-serializer";
  */
 const fnCache = new Map();
 
+/**
+ * Where a template expression comes from, for error reports.
+ *
+ * @typedef {Object} ExpressionLocation
+ * @property {string} expression - Expression source.
+ * @property {string | null} attribute - Attribute holding it (`x-if`,
+ *   `:title`, `title`), `null` for a `{{expr}}` in text.
+ * @property {number | undefined} index - Start of the node in the template.
+ */
+
+/**
+ * The template being rendered and how to report its failing expressions.
+ *
+ * @typedef {Object} TemplateRender
+ * @property {string} template
+ * @property {TemplateOptions} options
+ */
+
+/**
+ * @typedef {Object} TemplateOptions
+ * @property {string} [file] - File the template comes from, for error reports.
+ * @property {number} [line] - Line of that file where the template starts.
+ * @property {(error: Error) => void} [onError] - Called with a template
+ *   error when an expression throws; the expression then renders as `""`.
+ *   Throwing from it aborts the render.
+ */
+
+/**
+ * Builds the structured error reported for a failing expression. The router
+ * and the dev overlay read its `templateError` field:
+ *
+ *   TypeError: Cannot read properties of undefined (reading 'name')
+ *       at {{ user.profile.name }} (pages/account/page.vex:14)
+ *
+ * The line is resolved lazily from the node's position — only failing
+ * expressions pay for it.
+ *
+ * @param {TemplateRender} render
+ * @param {ExpressionLocation} location
+ * @param {Error} cause
+ * @returns {Error & { templateError: {
+ *   file: string | null,
+ *   line: number,
+ *   expression: string,
+ *   attribute: string | null,
+ * } }}
+ */
+function createTemplateError({ template, options }, location, cause) {
+  const { expression, attribute, index = 0 } = location;
+  const found = template.indexOf(expression, index);
+  const offset = found === -1 ? index : found;
+  const line = template.slice(0, offset).split("\n").length + (options.line ?? 1) - 1;
+  const file = options.file ?? null;
+  const source = attribute ? `${attribute}="${expression}"` : `{{ ${expression} }}`;
+
+  const err = new Error(
+    `${cause?.name ?? "Error"}: ${cause?.message ?? cause}\n    at ${source} (${file ?? "template"}:${line})`,
+    { cause }
+  );
+  err.templateError = { file, line, expression, attribute };
+  return err;
+}
+
 /**
  * Evaluates a template expression against the provided data scope.
  *
  * The compiled `Function` is cached by expression + scope key names so it is
  * only created once per unique (expression, scope shape) pair.
  *
+ * An expression that throws renders as `""` after being reported to
+ * `options.onError`; one that doesn't compile always fails the render.
+ *
  * @param {string} expression
  * @param {object} scope
+ * @param {ExpressionLocation} location
+ * @param {TemplateRender} render
  * @returns {any}
  */
-function getDataValue(expression, scope) {
+function getDataValue(expression, scope, location, render) {
   const keys = Object.keys(scope);
   const cacheKey = `${expression}::${keys.join(",")}`;
   if (!fnCache.has(cacheKey)) {
-    fnCache.set(cacheKey, Function(...keys, `return (${expression})`));
+    try {
+      fnCache.set(cacheKey, Function(...keys, `return (${expression})`));
+    } catch (error) {
+      throw createTemplateError(render, location, error);
+    }
   }
   try {
     return fnCache.get(cacheKey)(...Object.values(scope));
-  } catch (e) {
+  } catch (error) {
+    render.options.onError?.(createTemplateError(render, location, error));
     return "";
   }
 }
 
+/**
+ * HTML-escapes a value for a text node or a quoted attribute.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Markup that interpolation inserts as-is instead of escaping it — the
+ * rendered page a layout receives as `props.children`.
+ */
+class SafeHtml {
+  /** @param {string} html */
+  constructor(html) {
+    this.html = html;
+  }
+
+  toString() {
+    return this.html;
+  }
+}
+
+/**
+ * Marks already-rendered markup as safe: `{{value}}` outputs it unescaped.
+ * Only use it for HTML the framework produced or that is otherwise trusted.
+ *
+ * @param {string} html
+ * @returns {SafeHtml}
+ */
+export function safeHtml(html) {
+  return new SafeHtml(html);
+}
+
+/**
+ * Output of a `{{expr}}` interpolation: escaped, unless the value was
+ * marked with `safeHtml()`.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function interpolate(value) {
+  return value instanceof SafeHtml ? value.html : escapeHtml(value);
+}
+
+/**
+ * Value of a bound attribute (`:attr`, `x-bind:attr`), escaped. Objects and
+ * arrays are serialised as JSON so server components receive them as props.
+ *
+ * @param {any} value
+ * @returns {string}
+ */
+function formatAttributeValue(value) {
+  return escapeHtml(
+    (value !== null && value !== undefined && typeof value === "object")
+      ? JSON.stringify(value)
+      : String(value ?? "")
+  );
+}
+
 /**
  * Checks if a DOM node is an empty text node
  * @param {ChildNode} node
@@ -55,7 +201,8 @@ function isEmptyTextNode(node) {
  */
 function parseHTMLToNodes(html) {
   try {
-    const dom = parseDocument(html, { xmlMode: true });
+    // Start indices locate failing expressions in error reports.
+    const dom = parseDocument(html, { xmlMode: true, withStartIndices: true });
     return DomUtils.getChildren(dom);
   } catch (error) {
     console.error('Error parsing HTML:', error);
@@ -64,43 +211,89 @@ function parseHTMLToNodes(html) {
 }
 
 
+/** Directives that turn a `<template>` into a fragment. */
+const FRAGMENT_DIRECTIVES = ["x-if", "x-else-if", "x-else", "x-for"];
+
 /**
- * Processes an HTML file to extract script, template, metadata, client code, and component registry
+ * Replaces a `<template x-if>` / `<template x-for>` by its children.
+ *
+ * The fragment is a dom-serializer root node — serialised as its children
+ * alone — so it still counts as one rendered sibling for `x-else`. Children
+ * are re-parented to the template's parent: the serializer decides on
+ * foreign (svg/math) integration points from `parent.name`.
+ *
+ * @param {ChildNode} node - Processed `<template>` element.
+ * @returns {{ type: "root", children: ChildNode[], parent: ParentNode | null }}
+ */
+function toFragment(node) {
+  const adopt = (children) => {
+    for (const child of children) {
+      child.parent = node.parent;
+      if (child.type === "root") adopt(child.children);
+    }
+  };
+  adopt(node.children);
+  return { type: "root", children: node.children, parent: node.parent };
+}
+
+/**
+ * Renders a template node against `scope`: interpolation, directives and
+ * attribute bindings.
+ *
+ * Interpolated values (`{{expr}}` in text and attributes) and bound
+ * attributes are HTML-escaped — the page is rendered with
+ * `encodeEntities: false`, so nothing else escapes them. `x-html="expr"`
+ * replaces the element's content with the unescaped value, for trusted
+ * markup only. A `<template>` with `x-if`/`x-else-if`/`x-else`/`x-for`
+ * renders its children without the wrapper (see `toFragment`).
+ *
  * @param {ChildNode} node
  * @param {Object} scope
  * @param {boolean} previousRendered
+ * @param {TemplateRender} render
  * @returns {ChildNode | ChildNode[] | null}
  */
-function processNode(node, scope, previousRendered = false) {
+function processNode(node, scope, previousRendered, render) {
+  const evaluate = (expression, attribute = null) =>
+    getDataValue(expression, scope, { expression, attribute, index: node.startIndex }, render);
+
   if (node.type === "text") {
     // Replace {{expr}} with its value from scope (SSR interpolation).
     // The lookbehind (?<!\\) skips escaped \{{expr}}, which are then
     // unescaped to literal {{expr}} by the second replace.
     node.data = node.data
-      .replace(/(?<!\\)\{\{(.+?)\}\}/g, (_, expr) => getDataValue(expr.trim(), scope))
+      .replace(/(?<!\\)\{\{(.+?)\}\}/g, (_, expr) => interpolate(evaluate(expr.trim())))
       .replace(/\\\{\{/g, "{{");
     return node;
   }
 
   if (node.type === "tag") {
     const attrs = node.attribs || {};
+    const isFragment =
+      node.name === "template" && FRAGMENT_DIRECTIVES.some((name) => name in attrs);
 
-    for (const [attrName, attrValue] of Object.entries(attrs)) {
-      if (typeof attrValue === "string") {
-        attrs[attrName] = attrValue
-          .replace(/(?<!\\)\{\{(.+?)\}\}/g, (_, expr) => getDataValue(expr.trim(), scope))
+    const interpolateAttribute = (attrName) => {
+      if (typeof attrs[attrName] === "string") {
+        attrs[attrName] = attrs[attrName]
+          .replace(/(?<!\\)\{\{(.+?)\}\}/g, (_, expr) => escapeHtml(evaluate(expr.trim(), attrName)))
           .replace(/\\\{\{/g, "{{");
       }
-    }
+    };
 
+    // Directive values are interpolated right before they are evaluated; the
+    // other attributes only once the element is known to render (and per
+    // clone for x-for), so `<a x-if="user" href="/u/{{user.id}}">` does not
+    // evaluate `user.id` when `user` is null.
     if ("x-if" in attrs) {
-      const show = getDataValue(attrs["x-if"], scope);
+      interpolateAttribute("x-if");
+      const show = evaluate(attrs["x-if"], "x-if");
       delete attrs["x-if"];
       if (!show) return null;
     }
 
     if ("x-else-if" in attrs) {
-      const show = getDataValue(attrs["x-else-if"], scope);
+      interpolateAttribute("x-else-if");
+      const show = evaluate(attrs["x-else-if"], "x-else-if");
       delete attrs["x-else-if"];
       if (previousRendered || !show) return null;
     }
@@ -113,7 +306,8 @@ function processNode(node, scope, previousRendered = false) {
     }
 
     if ("x-show" in attrs) {
-      const show = getDataValue(attrs["x-show"], scope);
+      interpolateAttribute("x-show");
+      const show = evaluate(attrs["x-show"], "x-show");
       delete attrs["x-show"];
       if (!show) {
         attrs.style = (attrs.style || "") + "display:none;";
@@ -121,40 +315,41 @@ function processNode(node, scope, previousRendered = false) {
     }
 
     if ("x-for" in attrs) {
+      interpolateAttribute("x-for");
       const exp = attrs["x-for"];
       delete attrs["x-for"];
 
-      // format: item in items
-      const match = exp.match(/(.+?)\s+in\s+(.+)/);
-      if (!match) throw new Error("Invalid x-for format: " + exp);
-
-      const itemName = match[1].trim();
-      const listExpr = match[2].trim();
-      const list = getDataValue(listExpr, scope);
-
-      if (!Array.isArray(list)) return null;
+      // format: item in items, (value, key, index) in source, n in 10
+      const loop = parseForExpression(exp);
+      if (!loop) throw new Error("Invalid x-for format: " + exp);
 
+      const list = evaluate(loop.source, "x-for");
       const clones = [];
 
-      for (const item of list) {
+      for (const entry of getLoopEntries(list)) {
         const cloned = structuredClone(node);
-        const newScope = { ...scope, [itemName]: item };
-        clones.push(processNode(cloned, newScope));
+        const newScope = { ...scope };
+        loop.aliases.forEach((alias, i) => {
+          newScope[alias] = entry[i];
+        });
+        const clone = processNode(cloned, newScope, false, render);
+        clones.push(isFragment ? toFragment(clone) : clone);
       }
 
       return clones;
     }
 
+    for (const attrName of Object.keys(attrs)) {
+      interpolateAttribute(attrName);
+    }
+
     for (const [name, value] of Object.entries({ ...attrs })) {
       if (name.startsWith(":")) {
         const isSuspenseFallback =
           name === ":fallback" && node.name === "Suspense";
         const realName = name.slice(1);
         if (!isSuspenseFallback) {
-          const val = getDataValue(value, scope);
-          attrs[realName] = (val !== null && val !== undefined && typeof val === "object")
-            ? JSON.stringify(val)
-            : String(val ?? "");
+          attrs[realName] = formatAttributeValue(evaluate(value, name));
         } else {
           attrs[realName] = value;
         }
@@ -163,10 +358,7 @@ function processNode(node, scope, previousRendered = false) {
 
       if (name.startsWith("x-bind:")) {
         const realName = name.slice(7);
-        const val = getDataValue(value, scope);
-        attrs[realName] = (val !== null && val !== undefined && typeof val === "object")
-          ? JSON.stringify(val)
-          : String(val ?? "");
+        attrs[realName] = formatAttributeValue(evaluate(value, name));
         delete attrs[name];
       }
     }
@@ -177,6 +369,14 @@ function processNode(node, scope, previousRendered = false) {
       }
     }
 
+    if ("x-html" in attrs) {
+      const value = evaluate(attrs["x-html"], "x-html");
+      delete attrs["x-html"];
+      // A bare text node: the serializer writes its data verbatim.
+      node.children = [{ type: "text", data: String(value ?? ""), parent: node }];
+      return isFragment ? toFragment(node) : node;
+    }
+
     if (node.children) {
       const result = [];
       let isPreviousRendered = false;
@@ -184,7 +384,7 @@ function processNode(node, scope, previousRendered = false) {
         if (isEmptyTextNode(child)) {
           continue;
         }
-        const processed = processNode(child, scope, isPreviousRendered);
+        const processed = processNode(child, scope, isPreviousRendered, render);
         if (Array.isArray(processed)) {
           result.push(...processed);
           isPreviousRendered = processed.length > 0;
@@ -198,26 +398,12 @@ function processNode(node, scope, previousRendered = false) {
       node.children = result;
     }
 
-    return node;
+    return isFragment ? toFragment(node) : node;
   }
 
   return node;
 }
 
-/**
- * Renders HTML template content with provided data
- * @param {string} templateContent
- * @param {{
- *  [name: string]: string,
- *  clientScripts?: string[],
- *  metadata?: {
- *    title?: string,
- *    description?: string,
- *  }
- * }} data
- * @returns {string}
- *
- */
 /**
  * Parsed-template cache (PERF-05).
  *
@@ -235,12 +421,132 @@ function processNode(node, scope, previousRendered = false) {
  */
 const parsedTemplateCache = new Map();
 
+/**
+ * Renders a template by walking a clone of its parsed tree with
+ * `processNode` and serialising the result.
+ *
+ * This is the reference engine: `compileTemplateToHTML` uses it for
+ * templates the compiler doesn't support, and the template benchmark checks
+ * the compiled output against it.
+ *
+ * @param {string} template
+ * @param {object} data
+ * @param {TemplateOptions} [options]
+ * @returns {string}
+ */
+export function interpretTemplateToHTML(template, data = {}, options = {}) {
+  if (!parsedTemplateCache.has(template)) {
+    parsedTemplateCache.set(template, parseHTMLToNodes(template));
+  }
+  // Clone before processing — processNode mutates the nodes in place
+  const nodes = structuredClone(parsedTemplateCache.get(template));
+  const processed = nodes
+    .map((n) => processNode(n, data, false, { template, options }))
+    .flat()
+    .filter(Boolean);
+
+  return render(processed, { encodeEntities: false });
+}
+
+/**
+ * Runtime helpers passed to compiled render functions as `__vex`.
+ */
+const RENDER_HELPERS = {
+  escapeHtml,
+  interpolate,
+  formatAttributeValue,
+  getLoopEntries,
+  /** Second pass of interpolation: escaped `\{{` becomes a literal `{{`. */
+  unescapeBraces: (value) =>
+    value.includes("\\{{") ? value.replace(/\\\{\{/g, "{{") : value,
+  /** A dynamic attribute, serialised like dom-serializer does. */
+  attribute: (name, value, foreign) =>
+    !foreign && value === ""
+      ? ` ${name}`
+      : ` ${name}="${value.replace(/"/g, "&quot;")}"`,
+};
+
+/**
+ * Compiled-template cache.
+ *
+ * Key:   raw template string
+ * Value: `{ body, locations, renderers }` — the generated function body (or
+ *        `null` when the template needs the interpreter), where each of its
+ *        expressions comes from, and the render functions built from it, one
+ *        per scope shape (`"key1,key2,..."`), since the scope keys are bound
+ *        as local variables.
+ */
+const compiledTemplateCache = new Map();
+
+/** `__vex_fail` of renders without `onError`: the expression renders as `""`. */
+const renderEmpty = () => "";
+
+/**
+ * Compiles a template on first use and returns its render function for the
+ * shape of `data`, or `null` when the template must be interpreted.
+ *
+ * @param {string} template
+ * @param {object} data
+ * @returns {((data: object, options: TemplateOptions) => string) | null}
+ */
+function getTemplateRenderer(template, data) {
+  let compiled = compiledTemplateCache.get(template);
+  if (!compiled) {
+    compiled = { body: null, locations: [], renderers: new Map() };
+    try {
+      Object.assign(compiled, compileTemplateNodes(parseHTMLToNodes(template)));
+    } catch (error) {
+      if (!(error instanceof UnsupportedTemplateError)) throw error;
+    }
+    compiledTemplateCache.set(template, compiled);
+  }
+  if (compiled.body === null) return null;
+
+  const keys = Object.keys(data);
+  const shape = keys.join(",");
+  if (!compiled.renderers.has(shape)) {
+    let renderer = null;
+    // Keys that can't be bound as variables (`default`, `my-key`) make
+    // every expression throw in the interpreter: leave them to it.
+    if (keys.every(isBindableName)) {
+      try {
+        const fn = new Function(
+          "__vex",
+          "__vex_fail",
+          "__vex_scope",
+          `const { ${keys.join(", ")} } = __vex_scope;\n${compiled.body}`
+        );
+        renderer = (scope, options) => {
+          const fail = options.onError
+            ? (error, id) => {
+                const location = compiled.locations[id];
+                options.onError(createTemplateError({ template, options }, location, error));
+                return "";
+              }
+            : renderEmpty;
+          return fn(RENDER_HELPERS, fail, scope);
+        };
+      } catch (error) {
+        // An expression with a syntax error: the interpreter only throws
+        // if that expression is actually reached.
+        if (!(error instanceof SyntaxError)) throw error;
+      }
+    }
+    compiled.renderers.set(shape, renderer);
+  }
+  return compiled.renderers.get(shape);
+}
+
 /**
  * Compiles a Vue-like HTML template string into a rendered HTML string.
  *
- * Parsing is performed only on the first call for a given template string.
- * Subsequent calls clone the cached node tree and process the clone directly,
- * avoiding repeated `parseDocument` invocations.
+ * The template is compiled on first use into a single function that builds
+ * the HTML by string concatenation (see `template-compiler.js`); later calls
+ * only run that function. Templates the compiler doesn't support fall back
+ * to `interpretTemplateToHTML`, which produces the same output.
+ *
+ * An expression that throws renders as `""`; pass `options.onError` to
+ * report it (with `file` and `line` to locate it) or to fail the render.
  *
  * @param {string} template
  * @param {{
@@ -248,21 +554,15 @@ const parsedTemplateCache = new Map();
  *  clientScripts?: string[],
  *  metadata?: { title?: string, description?: string }
  * }} data
+ * @param {TemplateOptions} [options]
  * @returns {string}
  */
-export function compileTemplateToHTML(template, data = {}) {
+export function compileTemplateToHTML(template, data = {}, options = {}) {
   try {
-    if (!parsedTemplateCache.has(template)) {
-      parsedTemplateCache.set(template, parseHTMLToNodes(template));
-    }
-    // Clone before processing — processNode mutates the nodes in place
-    const nodes = structuredClone(parsedTemplateCache.get(template));
-    const processed = nodes
-      .map((n) => processNode(n, data))
-      .flat()
-      .filter(Boolean);
-
-    return render(processed, { encodeEntities: false });
+    const renderer = getTemplateRenderer(template, data);
+    return renderer
+      ? renderer(data, options)
+      : interpretTemplateToHTML(template, data, options);
   } catch (error) {
     console.error("Error compiling template:", error);
     throw error;